@@ -0,0 +1,67 @@
+// components/ActivityLog.jsx
+import { useState } from "react";
+import { ACTIVITY_OUTCOMES, ACTIVITY_TYPES, activityLabel, activityTime, newestFirst } from "../lib/activity";
+import { D } from "./dialogStyles";
+
+const BLANK = { type: "call", outcome: "", text: "" };
+
+/**
+ * A lead's activity log, newest first, with a row for adding an entry.
+ * onAdd receives { type, outcome, text }; the caller stamps and stores it.
+ */
+export default function ActivityLog({ activities, onAdd }) {
+  const [entry, setEntry] = useState(BLANK);
+  const outcomes = ACTIVITY_OUTCOMES[entry.type];
+  const canAdd = entry.text.trim() || entry.outcome;
+
+  const add = () => {
+    if (!canAdd) return;
+    onAdd(entry);
+    setEntry((p) => ({ ...BLANK, type: p.type }));
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "120px 150px 1fr auto", gap: 6 }}>
+        <select style={D.input} value={entry.type} onChange={(e) => setEntry({ ...entry, type: e.target.value, outcome: "" })}>
+          {Object.entries(ACTIVITY_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <select style={D.input} value={entry.outcome} disabled={!outcomes.length}
+                onChange={(e) => setEntry({ ...entry, outcome: e.target.value })}>
+          <option value="">{outcomes.length ? "Outcome…" : "—"}</option>
+          {outcomes.map((o) => <option key={o}>{o}</option>)}
+        </select>
+        <input
+          style={D.input}
+          placeholder="What happened?"
+          value={entry.text}
+          onChange={(e) => setEntry({ ...entry, text: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add();
+            }
+          }}
+        />
+        <button type="button" style={{ ...D.btnGhost, padding: "6px 10px" }} disabled={!canAdd} onClick={add}>
+          Log
+        </button>
+      </div>
+
+      {activities.length === 0 ? (
+        <div style={{ fontSize: 13, opacity: 0.6 }}>Nothing logged yet.</div>
+      ) : (
+        <ul style={{ listStyle: "none", margin: 0, padding: 0, display: "grid", gap: 6, maxHeight: 220, overflow: "auto" }}>
+          {newestFirst(activities).map((a) => (
+            <li key={a.id} style={{ fontSize: 13, borderLeft: "2px solid #334155", paddingLeft: 8 }}>
+              <div style={{ opacity: 0.7 }}>
+                {activityTime(a)} · <b>{activityLabel(a)}</b>
+              </div>
+              {a.text && <div style={{ whiteSpace: "pre-wrap" }}>{a.text}</div>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+// components/AmortizationView.jsx
+import { useMemo, useState } from "react";
+import {
+  Area,
+  AreaChart,
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { SCHEDULE_CSV_HEADER, buildSchedule, scheduleToCSVRows, yearlyTotals } from "../lib/amortization";
+import { TERM_OPTIONS } from "../lib/mortgage";
+import { leadPayment } from "../lib/prequal";
+import { dateStamp, downloadBlob, toCSV } from "../lib/download";
+import { D } from "./dialogStyles";
+
+const money = (n) =>
+  Number(n).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+const axisMoney = (n) => (n >= 1000 ? `$${Math.round(n / 1000)}k` : `$${Math.round(n)}`);
+
+/** ------------------------------
+ *  What-if amortization for one lead. Rate and term start from the
+ *  lead; extra payments are scratch values and are not saved. HELOCs
+ *  get a note instead, matching their interest-only payment estimate.
+ *  ------------------------------ */
+export default function AmortizationView({ lead }) {
+  const estimate = leadPayment(lead);
+  const [rate, setRate] = useState(estimate?.rate ?? "");
+  const [termYears, setTermYears] = useState(estimate?.termYears ?? 30);
+  const [extraMonthly, setExtraMonthly] = useState("");
+  const [oneTime, setOneTime] = useState([]);
+
+  const principal = estimate?.totalLoan || 0;
+  const startDate = lead.closeDate || undefined;
+
+  const base = useMemo(
+    () => buildSchedule({ principal, annualRate: Number(rate) || 0, termYears, startDate }),
+    [principal, rate, termYears, startDate]
+  );
+  const plan = useMemo(
+    () =>
+      buildSchedule({
+        principal,
+        annualRate: Number(rate) || 0,
+        termYears,
+        extraMonthly: Number(extraMonthly) || 0,
+        oneTime,
+        startDate,
+      }),
+    [principal, rate, termYears, extraMonthly, oneTime, startDate]
+  );
+
+  const chartData = useMemo(() => {
+    const baseYears = yearlyTotals(base.rows);
+    return yearlyTotals(plan.rows).concat(baseYears.slice(Math.ceil(plan.months / 12)).map((y) => ({ year: y.year, balance: 0 })))
+      .map((y, i) => ({ ...y, baseline: baseYears[i]?.balance ?? 0 }));
+  }, [base, plan]);
+
+  if (!estimate) {
+    return <div style={{ fontSize: 12, opacity: 0.7 }}>Enter a loan amount to see the amortization schedule.</div>;
+  }
+  if (lead.loanType === "HELOC") {
+    return (
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        HELOC payments are estimated as interest-only on the full draw ({money(estimate.principalAndInterest)}/mo), so there
+        is no amortization schedule. Repayment after the draw period depends on the lender's terms.
+      </div>
+    );
+  }
+
+  const hasExtra = plan.months !== base.months || plan.totalInterest !== base.totalInterest;
+  const updateLump = (i, k, v) => setOneTime((prev) => prev.map((p, j) => (j === i ? { ...p, [k]: v } : p)));
+
+  const exportCSV = () => {
+    const rows = [SCHEDULE_CSV_HEADER, ...scheduleToCSVRows(plan.rows)];
+    const name = (lead.name || "lead").replace(/[^\w-]+/g, "-").toLowerCase();
+    downloadBlob(toCSV(rows), `umm-amortization-${name}-${dateStamp()}.csv`, "text/csv");
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 8 }}>
+        <label style={{ display: "grid", gap: 4, fontSize: 12 }}>
+          Rate (%)
+          <input style={D.input} inputMode="decimal" value={rate} onChange={(e) => setRate(e.target.value)} />
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: 12 }}>
+          Term
+          <select style={D.input} value={termYears} onChange={(e) => setTermYears(Number(e.target.value))}>
+            {TERM_OPTIONS.map((t) => <option key={t} value={t}>{t} years</option>)}
+          </select>
+        </label>
+        <label style={{ display: "grid", gap: 4, fontSize: 12 }}>
+          Extra principal ($/mo)
+          <input style={D.input} inputMode="decimal" value={extraMonthly} onChange={(e) => setExtraMonthly(e.target.value)} placeholder="0" />
+        </label>
+      </div>
+
+      <div style={{ display: "grid", gap: 6 }}>
+        {oneTime.map((p, i) => (
+          <div key={i} style={{ display: "grid", gridTemplateColumns: "1fr 1fr auto", gap: 8, fontSize: 12 }}>
+            <input style={D.input} inputMode="numeric" value={p.month} onChange={(e) => updateLump(i, "month", e.target.value)} placeholder="Payment # (e.g. 12)" />
+            <input style={D.input} inputMode="decimal" value={p.amount} onChange={(e) => updateLump(i, "amount", e.target.value)} placeholder="Amount" />
+            <button type="button" style={D.btnGhost} onClick={() => setOneTime((prev) => prev.filter((_, j) => j !== i))}>Remove</button>
+          </div>
+        ))}
+        <div>
+          <button type="button" style={D.btnGhost} onClick={() => setOneTime((prev) => [...prev, { month: "", amount: "" }])}>
+            + One-time payment
+          </button>
+        </div>
+      </div>
+
+      <div style={{ fontSize: 13 }}>
+        {money(principal)} at {Number(rate) || 0}% · P&amp;I {money(plan.payment)}/mo · total interest {money(plan.totalInterest)}
+        {hasExtra && (
+          <span style={{ color: "#22c55e" }}>
+            {" "}· paid off {base.months - plan.months} month(s) early, saving {money(base.totalInterest - plan.totalInterest)} interest
+          </span>
+        )}
+      </div>
+
+      <div style={{ height: 220 }}>
+        <ResponsiveContainer>
+          <AreaChart data={chartData}>
+            <CartesianGrid stroke="#1f2937" />
+            <XAxis dataKey="year" stroke="#9ca3af" />
+            <YAxis tickFormatter={axisMoney} stroke="#9ca3af" width={56} />
+            <Tooltip formatter={(v) => money(v)} labelFormatter={(y) => `Year ${y}`} contentStyle={{ background: "#111827", border: "1px solid #1f2937" }} />
+            <Legend />
+            {hasExtra && <Area type="monotone" dataKey="baseline" name="Balance (no extra)" stroke="#64748b" fill="transparent" />}
+            <Area type="monotone" dataKey="balance" name="Balance" stroke="#6366f1" fill="#6366f155" />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ height: 220 }}>
+        <ResponsiveContainer>
+          <BarChart data={chartData.filter((y) => y.principal !== undefined)}>
+            <CartesianGrid stroke="#1f2937" />
+            <XAxis dataKey="year" stroke="#9ca3af" />
+            <YAxis tickFormatter={axisMoney} stroke="#9ca3af" width={56} />
+            <Tooltip formatter={(v) => money(v)} labelFormatter={(y) => `Year ${y}`} contentStyle={{ background: "#111827", border: "1px solid #1f2937" }} />
+            <Legend />
+            <Bar dataKey="principal" name="Principal" stackId="pi" fill="#22c55e" />
+            <Bar dataKey="interest" name="Interest" stackId="pi" fill="#f59e0b" />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <strong>Schedule ({plan.months} payments)</strong>
+        <button type="button" style={D.btnGhost} onClick={exportCSV}>Export CSV</button>
+      </div>
+      <div style={{ maxHeight: 320, overflow: "auto" }}>
+        <table style={D.table}>
+          <thead>
+            <tr style={{ textAlign: "left", opacity: 0.7 }}>
+              <th>#</th>
+              <th>Date</th>
+              <th>Payment</th>
+              <th>Principal</th>
+              <th>Interest</th>
+              <th>Extra</th>
+              <th>Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.rows.map((r) => (
+              <tr key={r.month} style={{ borderTop: "1px solid #1f2937" }}>
+                <td>{r.month}</td>
+                <td>{r.date}</td>
+                <td>{money(r.payment)}</td>
+                <td>{money(r.principal)}</td>
+                <td>{money(r.interest)}</td>
+                <td>{r.extra ? money(r.extra) : "—"}</td>
+                <td>{money(r.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+// components/ChecklistEditor.jsx
+import { useState } from "react";
+import { ITEM_KINDS, ITEM_STATES, checklistProgress, createItem } from "../lib/checklist";
+import { D } from "./dialogStyles";
+
+const STATE_COLORS = { requested: "#f59e0b", received: "#60a5fa", cleared: "#22c55e" };
+
+/**
+ * Documents and conditions on one lead. Changes go to onChange(items);
+ * onSeed adds whatever the loan type's template is missing.
+ */
+export default function ChecklistEditor({ items, loanType, onChange, onSeed }) {
+  const [draft, setDraft] = useState({ label: "", kind: "condition" });
+  const progress = checklistProgress({ checklist: items });
+
+  const setState = (id, state) => onChange(items.map((i) => (i.id === id ? { ...i, state } : i)));
+  const remove = (id) => onChange(items.filter((i) => i.id !== id));
+  const add = () => {
+    if (!draft.label.trim()) return;
+    onChange([...items, createItem(draft)]);
+    setDraft((d) => ({ ...d, label: "" }));
+  };
+
+  return (
+    <div style={{ display: "grid", gap: 8 }}>
+      <div style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+        <span style={{ opacity: 0.8 }}>
+          {progress ? `${progress.cleared} of ${progress.total} cleared (${progress.pct}%)` : "No items yet."}
+        </span>
+        <button type="button" style={{ ...D.btnGhost, padding: "4px 10px", marginLeft: "auto" }} onClick={onSeed}>
+          Add {loanType} documents
+        </button>
+      </div>
+
+      {Object.keys(ITEM_KINDS).map((kind) => {
+        const list = items.filter((i) => i.kind === kind);
+        if (!list.length) return null;
+        return (
+          <div key={kind} style={{ display: "grid", gap: 4 }}>
+            <div style={{ fontSize: 12, opacity: 0.6 }}>{ITEM_KINDS[kind]}s</div>
+            {list.map((i) => (
+              <div key={i.id} style={{ display: "grid", gridTemplateColumns: "1fr 130px auto", gap: 6, alignItems: "center" }}>
+                <span style={{ fontSize: 14, textDecoration: i.state === "cleared" ? "line-through" : "none", opacity: i.state === "cleared" ? 0.6 : 1 }}>
+                  {i.label}
+                </span>
+                <select style={{ ...D.input, color: STATE_COLORS[i.state] }} value={i.state} onChange={(e) => setState(i.id, e.target.value)}>
+                  {Object.entries(ITEM_STATES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <button type="button" style={{ ...D.btnGhost, padding: "4px 8px" }} aria-label={`Remove ${i.label}`} onClick={() => remove(i.id)}>
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+
+      <div style={{ display: "grid", gridTemplateColumns: "130px 1fr auto", gap: 6 }}>
+        <select style={D.input} value={draft.kind} onChange={(e) => setDraft({ ...draft, kind: e.target.value })}>
+          {Object.entries(ITEM_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <input
+          style={D.input}
+          placeholder={draft.kind === "condition" ? "e.g. Letter of explanation for deposit" : "Document name"}
+          value={draft.label}
+          onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add();
+            }
+          }}
+        />
+        <button type="button" style={{ ...D.btnGhost, padding: "6px 10px" }} disabled={!draft.label.trim()} onClick={add}>
+          Add
+        </button>
+      </div>
+    </div>
+  );
+}
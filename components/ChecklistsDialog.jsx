@@ -0,0 +1,48 @@
+// components/ChecklistsDialog.jsx
+import { LOAN_TYPES } from "../lib/leadSchema";
+import { CHECKLIST_STAGES, DEFAULT_CHECKLISTS } from "../lib/checklist";
+import { D } from "./dialogStyles";
+
+const lines = (text) => text.split("\n").map((s) => s.trim()).filter(Boolean);
+
+/** ------------------------------
+ *  Checklist templates: one document per line for every loan, then
+ *  per loan type. Each list saves when its box loses focus.
+ *  ------------------------------ */
+export default function ChecklistsDialog({ checklists, onChange, onClose }) {
+  const set = (key, text) => onChange({ ...checklists, [key]: lines(text) });
+  const lists = [["all", "Every loan"], ...LOAN_TYPES.map((t) => [t, t])];
+
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Document checklists</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+        <p style={{ margin: 0, fontSize: 13, opacity: 0.8 }}>
+          A lead moving into {CHECKLIST_STAGES.join(" or ")} gets these documents as requested items. Editing a
+          list does not change leads that already have theirs.
+        </p>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))", gap: 12 }}>
+          {lists.map(([key, label]) => (
+            <label key={key} style={{ display: "grid", gap: 4 }}>
+              <span style={{ fontSize: 12, opacity: 0.8 }}>{label}</span>
+              <textarea
+                key={(checklists[key] || []).join("\n")}
+                style={{ ...D.input, minHeight: 90 }}
+                defaultValue={(checklists[key] || []).join("\n")}
+                onBlur={(e) => set(key, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div>
+          <button style={D.btnGhost} onClick={() => onChange(DEFAULT_CHECKLISTS)}>Reset to defaults</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+// components/CsvImportDialog.jsx
+import { useEffect, useMemo, useState } from "react";
+import {
+  IMPORT_FIELDS,
+  detectDelimiter,
+  guessMapping,
+  mapRows,
+  parseDelimited,
+} from "../lib/csvImport";
+import { findDuplicates } from "../lib/duplicates";
+import { formatPhone } from "../lib/contact";
+import { D } from "./dialogStyles";
+
+const PREVIEW_ROWS = 5;
+
+/** ------------------------------
+ *  Column-mapping dialog for CSV/TSV lead files.
+ *  onImport(records, { skipped, warnings }) receives the mapped fields of
+ *  each row (see importedFields), ready for upsertById.
+ *  `leads` (the live pipeline) is only used to flag likely duplicates.
+ *  ------------------------------ */
+export default function CsvImportDialog({ file, leads = [], onCancel, onImport }) {
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState("");
+  const [mapping, setMapping] = useState([]);
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+
+  useEffect(() => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || "");
+      const parsed = parseDelimited(text, detectDelimiter(text, file.name));
+      if (parsed.length < 2) {
+        setError("The file needs a header row and at least one data row.");
+        return;
+      }
+      setRows(parsed);
+      setMapping(guessMapping(parsed[0]));
+    };
+    reader.onerror = () => setError("Could not read the file.");
+    reader.readAsText(file);
+  }, [file]);
+
+  const headers = rows ? rows[0] : [];
+  const body = useMemo(() => (rows ? rows.slice(1) : []), [rows]);
+  const mapped = useMemo(() => mapRows(body, mapping), [body, mapping]);
+  const duplicates = useMemo(
+    () => mapped.leads.map((l) => findDuplicates(l, leads)).map((m) => m.map((d) => d.lead.name)),
+    [mapped, leads]
+  );
+  const result = useMemo(() => {
+    if (!skipDuplicates) return mapped;
+    const skipped = [...mapped.skipped];
+    const keep = mapped.leads.map((l, i) => {
+      if (!duplicates[i].length) return true;
+      skipped.push({ row: mapped.leadRows[i], reason: `likely duplicate of ${duplicates[i].join(", ")}` });
+      return false;
+    });
+    return {
+      ...mapped,
+      leads: mapped.leads.filter((l, i) => keep[i]),
+      fields: mapped.fields.filter((f, i) => keep[i]),
+      skipped,
+    };
+  }, [mapped, duplicates, skipDuplicates]);
+  const duplicateCount = duplicates.filter((d) => d.length).length;
+  const preview = useMemo(
+    () => mapRows(body.slice(0, PREVIEW_ROWS), mapping).leads,
+    [body, mapping]
+  );
+
+  const setColumn = (i, key) =>
+    setMapping((prev) => prev.map((k, j) => (j === i ? key : k === key && key ? "" : k)));
+
+  return (
+    <div style={D.backdrop} onClick={onCancel}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Import {file?.name}</h3>
+          <button style={D.btnGhost} onClick={onCancel}>Close</button>
+        </div>
+
+        {error && <p style={{ color: "#ef4444" }}>{error}</p>}
+        {!rows && !error && <p style={{ opacity: 0.7 }}>Reading file…</p>}
+
+        {rows && (
+          <>
+            <h4 style={D.h4}>1. Map columns</h4>
+            <div style={{ overflowX: "auto" }}>
+              <table style={D.table}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>Column</th>
+                    <th>First value</th>
+                    <th>Import as</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {headers.map((h, i) => (
+                    <tr key={i} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>{h || `Column ${i + 1}`}</td>
+                      <td style={{ opacity: 0.7, maxWidth: 220, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                        {body[0]?.[i] || "—"}
+                      </td>
+                      <td>
+                        <select style={D.input} value={mapping[i] || ""} onChange={(e) => setColumn(i, e.target.value)}>
+                          <option value="">Skip</option>
+                          {IMPORT_FIELDS.map((f) => (
+                            <option key={f.key} value={f.key}>{f.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h4 style={D.h4}>2. Preview (first {Math.min(PREVIEW_ROWS, body.length)} rows)</h4>
+            <div style={{ overflowX: "auto" }}>
+              <table style={D.table}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>Name</th>
+                    <th>Phone</th>
+                    <th>Email</th>
+                    <th>Loan</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th>Follow-Up</th>
+                    <th>Tags</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.map((l) => (
+                    <tr key={l.id} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>{l.name}</td>
+                      <td>{formatPhone(l.phone) || "—"}</td>
+                      <td>{l.email || "—"}</td>
+                      <td>{l.loanType}</td>
+                      <td>{l.loanAmount === "" ? "—" : `$${l.loanAmount.toLocaleString()}`}</td>
+                      <td>{l.status}</td>
+                      <td>{l.nextFollowUp || "—"}</td>
+                      <td>{l.tags.join(", ") || "—"}</td>
+                    </tr>
+                  ))}
+                  {preview.length === 0 && (
+                    <tr>
+                      <td colSpan={8} style={{ padding: 12, opacity: 0.7 }}>
+                        No rows have a name yet. Map a Name (or First/Last Name) column.
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+
+            <h4 style={D.h4}>3. Import</h4>
+            <p style={{ margin: 0 }}>
+              {result.leads.length} of {body.length} row(s) will be imported.
+              {!mapping.includes("id") && " Every row is added as a new lead."}
+            </p>
+            {duplicateCount > 0 && (
+              <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                Skip {duplicateCount} row(s) that look like leads you already have (same phone, email, or name and address)
+              </label>
+            )}
+            {[...result.skipped.map((s) => ({ ...s, kind: "Skipped" })), ...result.warnings.map((w) => ({ ...w, kind: "Note" }))]
+              .slice(0, 20)
+              .map((m) => (
+                <div key={`${m.kind}-${m.row}`} style={{ fontSize: 12, color: "#f59e0b" }}>
+                  {m.kind} row {m.row}: {m.reason}
+                </div>
+              ))}
+
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button style={D.btnGhost} onClick={onCancel}>Cancel</button>
+              <button
+                style={{ ...D.btn, opacity: result.leads.length ? 1 : 0.5 }}
+                disabled={!result.leads.length}
+                onClick={() => onImport(result.fields, { skipped: result.skipped, warnings: result.warnings })}
+              >
+                Import {result.leads.length} lead(s)
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// components/DuplicatesDialog.jsx
+import { useMemo } from "react";
+import { duplicateGroups, matchReasons } from "../lib/duplicates";
+import { formatPhone } from "../lib/contact";
+import { D } from "./dialogStyles";
+
+/** Every cluster of likely duplicates in the pipeline; onReview(group) opens the merge screen. */
+export default function DuplicatesDialog({ leads, onReview, onClose }) {
+  const groups = useMemo(() => duplicateGroups(leads), [leads]);
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Possible duplicates ({groups.length})</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+        {groups.length === 0 && <p style={{ opacity: 0.7 }}>No likely duplicates found.</p>}
+        {groups.map((g) => {
+          const reasons = new Set(g.slice(1).flatMap((l) => matchReasons(g[0], l)));
+          return (
+            <div key={g.map((l) => l.id).join()} style={{ borderTop: "1px solid #1f2937", paddingTop: 10, display: "flex", gap: 12, alignItems: "center" }}>
+              <div style={{ flex: 1 }}>
+                {g.map((l) => (
+                  <div key={l.id}>
+                    <b>{l.name || "—"}</b>{" "}
+                    <span style={{ fontSize: 12, opacity: 0.7 }}>
+                      {[formatPhone(l.phone), l.email, l.propertyAddress, l.status].filter(Boolean).join(" · ")}
+                    </span>
+                  </div>
+                ))}
+                {reasons.size > 0 && <div style={{ fontSize: 12, color: "#f59e0b" }}>{Array.from(reasons).join(", ")}</div>}
+              </div>
+              <button style={D.btn} onClick={() => onReview(g)}>Review &amp; merge</button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
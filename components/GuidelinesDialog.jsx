@@ -0,0 +1,66 @@
+// components/GuidelinesDialog.jsx
+import { LOAN_TYPES } from "../lib/leadSchema";
+import { DEFAULT_GUIDELINES, GUIDELINE_FIELDS, guidelineFor } from "../lib/prequal";
+import { D } from "./dialogStyles";
+
+/** ------------------------------
+ *  Pre-qualification limits per loan type. A cell is saved when it
+ *  loses focus; a blank cell turns that check off for the loan type.
+ *  ------------------------------ */
+export default function GuidelinesDialog({ guidelines, onChange, onClose }) {
+  const set = (type, key, value) => {
+    const n = value === "" ? null : Number(value);
+    if (n !== null && !Number.isFinite(n)) return;
+    onChange({ ...guidelines, [type]: { ...guidelineFor(type, guidelines), [key]: n } });
+  };
+
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Pre-qualification guidelines</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+        <p style={{ margin: 0, fontSize: 13, opacity: 0.8 }}>
+          DTI above the guideline is a warning; above the max it fails. LTV above the max fails, and so does a
+          credit band entirely below the minimum score.
+        </p>
+
+        <table style={D.table}>
+          <thead>
+            <tr style={{ textAlign: "left", opacity: 0.7 }}>
+              <th>Loan type</th>
+              {Object.values(GUIDELINE_FIELDS).map((label) => <th key={label}>{label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {LOAN_TYPES.map((type) => {
+              const g = guidelineFor(type, guidelines);
+              return (
+                <tr key={type} style={{ borderTop: "1px solid #1f2937" }}>
+                  <td>{type}</td>
+                  {Object.keys(GUIDELINE_FIELDS).map((key) => (
+                    <td key={key} style={{ padding: 4 }}>
+                      <input
+                        key={String(g[key])}
+                        style={D.input}
+                        inputMode="decimal"
+                        defaultValue={g[key] ?? ""}
+                        placeholder="off"
+                        onBlur={(e) => set(type, key, e.target.value.trim())}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div>
+          <button style={D.btnGhost} onClick={() => onChange(DEFAULT_GUIDELINES)}>Reset to defaults</button>
+        </div>
+      </div>
+    </div>
+  );
+}
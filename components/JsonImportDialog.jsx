@@ -0,0 +1,166 @@
+// components/JsonImportDialog.jsx
+import { useEffect, useMemo, useState } from "react";
+import { IMPORT_MODES, analyzeImport, applyImport, summarize } from "../lib/jsonImport";
+import { activeLeads } from "../lib/trash";
+import { D } from "./dialogStyles";
+
+const KIND_COLORS = { add: "#16a34a", update: "#6366f1", conflict: "#f59e0b", invalid: "#ef4444" };
+
+/** ------------------------------
+ *  Preview-then-apply dialog for JSON lead files.
+ *  onApply(nextLeads, report) is called once, after the user confirms;
+ *  the dialog then shows the report until closed.
+ *  ------------------------------ */
+export default function JsonImportDialog({ file, leads, checklists, onClose, onApply }) {
+  const [rows, setRows] = useState(null);
+  const [error, setError] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [overwriteConflicts, setOverwriteConflicts] = useState(false);
+  const [skipFlagged, setSkipFlagged] = useState(false);
+  const [skipDuplicates, setSkipDuplicates] = useState(false);
+  const [report, setReport] = useState(null);
+  const [picked] = useState(leads); // analyze against the pipeline as it was when the file was picked
+
+  useEffect(() => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        setRows(analyzeImport(picked, JSON.parse(String(reader.result || ""))));
+      } catch (err) {
+        setError("Import failed: " + err.message);
+      }
+    };
+    reader.readAsText(file);
+  }, [file, picked]);
+
+  const counts = useMemo(() => (rows ? summarize(rows) : null), [rows]);
+
+  const confirmText =
+    mode === "replace"
+      ? `Replace all ${activeLeads(leads).length} existing lead(s) with this file? They will be moved to the trash.`
+      : null;
+
+  const apply = () => {
+    if (confirmText && !confirm(confirmText)) return;
+    const result = applyImport(leads, rows, { mode, overwriteConflicts, skipFlagged, skipDuplicates, checklists });
+    onApply(result.leads, result.report);
+    setReport(result.report);
+  };
+
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Import {file?.name}</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+
+        {error && <p style={{ color: "#ef4444" }}>{error}</p>}
+        {!rows && !error && <p style={{ opacity: 0.7 }}>Reading file…</p>}
+
+        {rows && !report && (
+          <>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <Count label="New" n={counts.add} color={KIND_COLORS.add} />
+              <Count label="Updates" n={counts.update} color={KIND_COLORS.update} />
+              <Count label="Conflicts" n={counts.conflict} color={KIND_COLORS.conflict} />
+              <Count label="Invalid" n={counts.invalid} color={KIND_COLORS.invalid} />
+              <Count label="Flagged" n={counts.flagged} color="#334155" />
+              <Count label="Likely duplicates" n={counts.duplicate} color="#b45309" />
+            </div>
+
+            <div style={{ display: "grid", gap: 6 }}>
+              {Object.entries(IMPORT_MODES).map(([key, label]) => (
+                <label key={key} style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input type="radio" name="import-mode" checked={mode === key} onChange={() => setMode(key)} />
+                  {label}
+                </label>
+              ))}
+              {mode === "merge" && counts.conflict > 0 && (
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input type="checkbox" checked={overwriteConflicts} onChange={(e) => setOverwriteConflicts(e.target.checked)} />
+                  Overwrite {counts.conflict} lead(s) that were edited here after the file was exported
+                </label>
+              )}
+              {counts.flagged > 0 && (
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input type="checkbox" checked={skipFlagged} onChange={(e) => setSkipFlagged(e.target.checked)} />
+                  Reject flagged rows instead of importing them without the flagged values
+                </label>
+              )}
+              {counts.duplicate > 0 && mode !== "replace" && (
+                <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                  <input type="checkbox" checked={skipDuplicates} onChange={(e) => setSkipDuplicates(e.target.checked)} />
+                  Skip {counts.duplicate} new row(s) that look like leads you already have
+                </label>
+              )}
+            </div>
+
+            <div style={{ overflowX: "auto", maxHeight: 320 }}>
+              <table style={D.table}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>Row</th>
+                    <th>Name</th>
+                    <th>Result</th>
+                    <th>Notes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr key={r.row} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>{r.row}</td>
+                      <td>{r.name || "—"}</td>
+                      <td style={{ color: KIND_COLORS[r.kind] }}>{r.kind}</td>
+                      <td style={{ fontSize: 12, opacity: 0.8 }}>
+                        {[...r.problems, ...(r.duplicates || []).map((n) => `possible duplicate of ${n}`)].join(", ") || "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+              <button style={D.btnGhost} onClick={onClose}>Cancel</button>
+              <button style={mode === "replace" ? { ...D.btn, background: "#ef4444" } : D.btn} onClick={apply}>
+                {mode === "replace" ? "Replace pipeline" : "Import"}
+              </button>
+            </div>
+          </>
+        )}
+
+        {report && (
+          <>
+            <p style={{ margin: 0 }}>
+              Added {report.added}, updated {report.updated}
+              {report.removed ? `, moved ${report.removed} existing to the trash` : ""}, skipped {report.skipped.length}.
+            </p>
+            {report.held.length > 0 && (
+              <div style={{ fontSize: 12, color: "#f59e0b" }}>
+                Kept out of Clear to Close until their checklists are cleared: {report.held.join(", ")}
+              </div>
+            )}
+            {report.skipped.map((s) => (
+              <div key={s.row} style={{ fontSize: 12, color: "#f59e0b" }}>
+                Row {s.row}{s.name ? ` (${s.name})` : ""}: {s.reason}
+              </div>
+            ))}
+            <div style={{ display: "flex", justifyContent: "flex-end" }}>
+              <button style={D.btn} onClick={onClose}>Done</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Count({ label, n, color }) {
+  return (
+    <span style={{ padding: "4px 10px", borderRadius: 999, background: color, fontSize: 12 }}>
+      {label}: {n}
+    </span>
+  );
+}
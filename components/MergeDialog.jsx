@@ -0,0 +1,93 @@
+// components/MergeDialog.jsx
+import { useMemo, useState } from "react";
+import { MERGE_FIELDS, defaultPicks, mergeRecords } from "../lib/duplicates";
+import { describePlan } from "../lib/followUps";
+import { D } from "./dialogStyles";
+
+const show = (key, v) => {
+  if (v === "" || v === null || v === undefined) return "—";
+  if (key === "followUpPlan") return describePlan(v);
+  if (typeof v === "number" && ["loanAmount", "purchasePrice", "propertyTax", "homeInsurance", "hoaDues"].includes(key)) {
+    return `$${v.toLocaleString()}`;
+  }
+  return String(v);
+};
+
+/** ------------------------------
+ *  Side-by-side merge of likely duplicates. Pick each field from one
+ *  record; tags, activity and status history are combined from all of them.
+ *  onMerge(merged, records) leaves removing the extra records to the caller.
+ *  ------------------------------ */
+export default function MergeDialog({ records, onCancel, onMerge }) {
+  const [picks, setPicks] = useState(() => defaultPicks(records));
+  const [keepId, setKeepId] = useState(() => [...records].sort((a, b) => a.createdAt - b.createdAt)[0].id);
+  const merged = useMemo(() => mergeRecords(records, picks, keepId), [records, picks, keepId]);
+
+  const differs = (key) => new Set(records.map((r) => JSON.stringify(r[key] ?? ""))).size > 1;
+  const cell = { padding: "6px 8px", verticalAlign: "top" };
+
+  return (
+    <div style={{ ...D.backdrop, zIndex: 60 }} onClick={onCancel}>
+      <div style={{ ...D.panel, width: "min(1100px, 96vw)" }} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Merge {records.length} leads</h3>
+          <button style={D.btnGhost} onClick={onCancel}>Close</button>
+        </div>
+
+        <div style={{ overflowX: "auto" }}>
+          <table style={D.table}>
+            <thead>
+              <tr style={{ textAlign: "left" }}>
+                <th style={cell}></th>
+                {records.map((r) => (
+                  <th key={r.id} style={cell}>
+                    <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                      <input type="radio" name="merge-keep" checked={keepId === r.id} onChange={() => setKeepId(r.id)} />
+                      Keep this record
+                    </label>
+                    <div style={{ fontSize: 12, opacity: 0.6, fontWeight: 400 }}>
+                      Added {new Date(r.createdAt).toLocaleDateString()} · edited {new Date(r.updatedAt).toLocaleDateString()}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(([key, label]) => (
+                <tr key={key} style={{ borderTop: "1px solid #1f2937", opacity: differs(key) ? 1 : 0.55 }}>
+                  <td style={{ ...cell, opacity: 0.7 }}>{label}</td>
+                  {records.map((r) => (
+                    <td key={r.id} style={cell}>
+                      <label style={{ display: "flex", gap: 6, alignItems: "flex-start" }}>
+                        <input
+                          type="radio"
+                          name={`merge-${key}`}
+                          checked={picks[key] === r.id}
+                          onChange={() => setPicks((p) => ({ ...p, [key]: r.id }))}
+                        />
+                        <span>{show(key, r[key])}</span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <h4 style={D.h4}>Combined automatically</h4>
+        <div style={{ fontSize: 13, display: "grid", gap: 4 }}>
+          <div>Tags: {merged.tags.join(", ") || "—"}</div>
+          <div>Status history: {merged.statusHistory.map((h) => h.status).join(" → ")}</div>
+          <div>Activity: {merged.activities.length} entr{merged.activities.length === 1 ? "y" : "ies"}</div>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", alignItems: "center" }}>
+          <span style={{ fontSize: 12, opacity: 0.7 }}>The other record(s) go to the trash.</span>
+          <button style={D.btnGhost} onClick={onCancel}>Cancel</button>
+          <button style={D.btn} onClick={() => onMerge(merged, records)}>Merge</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+// components/MessageMenu.jsx
+import { CHANNELS, channelsFor, messageLink, templatesFor } from "../lib/templates";
+
+/**
+ * A "Message…" picker for one lead: each template on each channel the
+ * lead can be reached on. Choosing one opens the SMS or mail app with the
+ * text filled in and hands the send to onSent(channel, template).
+ */
+export default function MessageMenu({ lead, templates, onSent, style }) {
+  const channels = channelsFor(lead);
+  if (!channels.length || !templates.length) return null;
+  const ordered = templatesFor(templates, lead);
+
+  const send = (value) => {
+    const [channel, id] = value.split(":");
+    const template = ordered.find((t) => t.id === id);
+    if (!template) return;
+    window.location.href = messageLink(channel, lead, template);
+    onSent(channel, template);
+  };
+
+  return (
+    <select style={style} value="" onChange={(e) => send(e.target.value)} title="Send a message from a template">
+      <option value="">Message…</option>
+      {channels.map((c) => (
+        <optgroup key={c} label={CHANNELS[c]}>
+          {ordered.map((t) => (
+            <option key={t.id} value={`${c}:${t.id}`}>
+              {t.status === lead.status ? "★ " : ""}{t.name}
+            </option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,56 @@
+// components/ReminderSettings.jsx
+import { useEffect, useState } from "react";
+import { enableNotifications, notificationsSupported } from "../lib/notifications";
+import { D } from "./dialogStyles";
+
+const PERMISSION_TEXT = {
+  granted: "Allowed in this browser.",
+  denied: "Blocked. Allow notifications for this site in the browser settings, then switch reminders on again.",
+  default: "The browser will ask for permission when you switch reminders on.",
+  unsupported: "This browser does not support notifications.",
+};
+
+/** Opt-in switch, quiet hours and daily summary time for follow-up reminders. */
+export default function ReminderSettings({ prefs, onChange }) {
+  const [permission, setPermission] = useState("default");
+  useEffect(() => setPermission(notificationsSupported() ? Notification.permission : "unsupported"), []);
+
+  const toggle = async () => {
+    if (prefs.enabled) return onChange({ ...prefs, enabled: false });
+    const result = await enableNotifications();
+    setPermission(result);
+    if (result === "granted") onChange({ ...prefs, enabled: true });
+  };
+  const time = (key, label) => (
+    <label style={{ display: "grid", gap: 4, fontSize: 12 }}>
+      {label}
+      <input
+        type="time"
+        style={D.input}
+        value={prefs[key]}
+        disabled={!prefs.enabled}
+        onChange={(e) => onChange({ ...prefs, [key]: e.target.value })}
+      />
+    </label>
+  );
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
+        <button style={prefs.enabled ? D.btnGhost : D.btn} onClick={toggle} disabled={permission === "unsupported"}>
+          {prefs.enabled ? "Turn reminders off" : "Turn on desktop reminders"}
+        </button>
+        <span style={{ fontSize: 12, opacity: 0.7 }}>{PERMISSION_TEXT[permission]}</span>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, minmax(0, 160px))", gap: 12 }}>
+        {time("quietStart", "Quiet from")}
+        {time("quietEnd", "Quiet until")}
+        {time("summaryTime", "Daily summary at")}
+      </div>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        Reminders are checked while any UMM tab is open. Nothing is shown during quiet hours; the summary and
+        anything that came due wait until they end. Clear the summary time to skip the daily summary.
+      </div>
+    </div>
+  );
+}
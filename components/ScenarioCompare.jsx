@@ -0,0 +1,147 @@
+// components/ScenarioCompare.jsx
+import { LOAN_TYPES } from "../lib/leadSchema";
+import { TERM_OPTIONS } from "../lib/mortgage";
+import { CLOSING_COST_RATE, MAX_SCENARIOS, compareScenarios, createScenario, scenarioPrice } from "../lib/scenarios";
+import { localToday } from "../lib/dates";
+import { D } from "./dialogStyles";
+
+const money = (n) =>
+  Number(n).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+const months = (n) => (n === null ? "—" : n === Infinity ? "Never" : `${n} mo (${(n / 12).toFixed(1)} yr)`);
+const title = (s, i) => s.name || `Scenario ${i + 1}`;
+
+/** Rows of the comparison, shared by the on-screen table and the printout. */
+const ROWS = [
+  ["Loan type", (s) => s.scenario.loanType],
+  ["Rate / points", (s) => `${Number(s.scenario.rate) || 0}% · ${Number(s.scenario.points) || 0} pt`],
+  ["Term", (s) => `${s.scenario.termYears} years`],
+  ["Down payment", (s) => (s.result ? money(s.result.down) : "—")],
+  ["Loan amount", (s) => (s.result ? money(s.result.loan) : "—")],
+  ["LTV", (s) => (s.result?.ltv ? `${s.result.ltv.toFixed(1)}%` : "—")],
+  ["Monthly payment", (s) => (s.result ? money(s.result.payment) : "—")],
+  ["Principal & interest", (s) => (s.result ? money(s.result.estimate.principalAndInterest) : "—")],
+  ["Mortgage insurance", (s) => (s.result ? money(s.result.estimate.mortgageInsurance) : "—")],
+  ["Cash to close", (s) => (s.result ? money(s.result.cashToClose) : "—")],
+  ["Total interest", (s) => (s.result ? money(s.result.totalInterest) : "—")],
+  ["Points breakeven", (s, i) => (i === 0 ? "Baseline" : months(s.breakevenMonths))],
+];
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/** A standalone page for the borrower; opened in a new window and sent to the printer. */
+function printSummary(lead, compared) {
+  const win = window.open("", "_blank");
+  if (!win) return alert("Allow pop-ups for this site to print the summary.");
+  const head = compared.map((c, i) => `<th>${escapeHtml(title(c.scenario, i))}</th>`).join("");
+  const body = ROWS.map(
+    ([label, cell]) => `<tr><th>${escapeHtml(label)}</th>${compared.map((c, i) => `<td>${escapeHtml(cell(c, i))}</td>`).join("")}</tr>`
+  ).join("");
+  win.document.write(`<!doctype html><html><head><meta charset="utf-8">
+<title>Loan options for ${escapeHtml(lead.name || "you")}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; color: #111; margin: 32px; }
+  table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+  th, td { border: 1px solid #ccc; padding: 6px 10px; text-align: left; }
+  thead th { background: #f3f4f6; }
+  p { color: #444; font-size: 13px; }
+</style></head><body>
+<h1>Loan options for ${escapeHtml(lead.name || "you")}</h1>
+<p>Prepared ${localToday()} · Home price ${escapeHtml(money(scenarioPrice(lead)))}</p>
+<table><thead><tr><th></th>${head}</tr></thead><tbody>${body}</tbody></table>
+<p>Monthly payment includes estimated taxes, insurance, HOA and mortgage insurance. Cash to close is the down
+payment, points and about ${CLOSING_COST_RATE}% of the loan in closing costs. Points breakeven is how long the
+principal and interest saved by the lower rate takes to repay extra points compared with the first option's rate. Estimates only, not a loan offer or commitment;
+rates and costs change until locked.</p>
+</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+/** ------------------------------
+ *  Up to four named loan options on one lead, side by side.
+ *  Scenarios are part of the lead and are saved with it.
+ *  ------------------------------ */
+export default function ScenarioCompare({ lead, onChange }) {
+  const scenarios = lead.scenarios || [];
+  const compared = compareScenarios(lead, scenarios);
+  const hasPrice = !!scenarioPrice(lead);
+
+  const update = (id, k, v) => onChange(scenarios.map((s) => (s.id === id ? { ...s, [k]: v } : s)));
+  const add = () => {
+    const last = scenarios[scenarios.length - 1];
+    const next = last ? { ...last, id: crypto.randomUUID(), name: "" } : createScenario(lead);
+    onChange([...scenarios, next]);
+  };
+
+  if (!hasPrice) {
+    return <div style={{ fontSize: 12, opacity: 0.7 }}>Enter a purchase price, or a loan amount and down payment, to compare scenarios.</div>;
+  }
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.max(1, scenarios.length)}, minmax(0, 1fr))`, gap: 8 }}>
+        {scenarios.map((s, i) => (
+          <div key={s.id} style={{ display: "grid", gap: 6, fontSize: 12, border: "1px solid #1f2937", borderRadius: 8, padding: 8 }}>
+            <input style={D.input} value={s.name} placeholder={`Scenario ${i + 1}`} onChange={(e) => update(s.id, "name", e.target.value)} />
+            <select style={D.input} value={s.loanType} onChange={(e) => update(s.id, "loanType", e.target.value)}>
+              {LOAN_TYPES.map((t) => <option key={t}>{t}</option>)}
+            </select>
+            <label style={{ display: "grid", gap: 2 }}>
+              Rate (%)
+              <input style={D.input} inputMode="decimal" value={s.rate} onChange={(e) => update(s.id, "rate", e.target.value)} />
+            </label>
+            <label style={{ display: "grid", gap: 2 }}>
+              Points
+              <input style={D.input} inputMode="decimal" value={s.points} onChange={(e) => update(s.id, "points", e.target.value)} />
+            </label>
+            <label style={{ display: "grid", gap: 2 }}>
+              Term
+              <select style={D.input} value={s.termYears} onChange={(e) => update(s.id, "termYears", Number(e.target.value))}>
+                {TERM_OPTIONS.map((t) => <option key={t} value={t}>{t} years</option>)}
+              </select>
+            </label>
+            <label style={{ display: "grid", gap: 2 }}>
+              Down payment ($)
+              <input style={D.input} inputMode="decimal" value={s.downPayment} onChange={(e) => update(s.id, "downPayment", e.target.value)} />
+            </label>
+            <button type="button" style={{ ...D.btnGhost, padding: "4px 8px" }} onClick={() => onChange(scenarios.filter((x) => x.id !== s.id))}>
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button type="button" style={D.btnGhost} disabled={scenarios.length >= MAX_SCENARIOS} onClick={add}>
+          + Scenario{scenarios.length >= MAX_SCENARIOS ? ` (max ${MAX_SCENARIOS})` : ""}
+        </button>
+        {scenarios.length > 0 && (
+          <button type="button" style={D.btnGhost} onClick={() => printSummary(lead, compared)}>Print summary</button>
+        )}
+      </div>
+
+      {scenarios.length > 0 && (
+        <div style={{ overflowX: "auto" }}>
+          <table style={D.table}>
+            <thead>
+              <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                <th />
+                {compared.map((c, i) => <th key={c.scenario.id}>{title(c.scenario, i)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {ROWS.map(([label, cell]) => (
+                <tr key={label} style={{ borderTop: "1px solid #1f2937" }}>
+                  <td style={{ opacity: 0.7 }}>{label}</td>
+                  {compared.map((c, i) => <td key={c.scenario.id}>{cell(c, i)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
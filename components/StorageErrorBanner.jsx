@@ -0,0 +1,29 @@
+// components/StorageErrorBanner.jsx
+/** Red bar shown while lead changes cannot be written to this browser's storage. */
+export default function StorageErrorBanner({ message, onRetry }) {
+  if (!message) return null;
+  return (
+    <div
+      role="alert"
+      style={{
+        background: "#450a0a",
+        border: "1px solid #ef4444",
+        color: "#fecaca",
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+        display: "flex",
+        gap: 12,
+        alignItems: "center",
+      }}
+    >
+      <span style={{ flex: 1 }}>⛔ {message}</span>
+      <button
+        onClick={onRetry}
+        style={{ background: "#ef4444", border: "none", color: "white", padding: "8px 12px", borderRadius: 8, cursor: "pointer" }}
+      >
+        Retry save
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// components/TemplatesDialog.jsx
+import { STATUSES } from "../lib/leadSchema";
+import { DEFAULT_TEMPLATES, TEMPLATE_FIELDS } from "../lib/templates";
+import { D } from "./dialogStyles";
+
+/** ------------------------------
+ *  The message template library. Text fields save when they lose
+ *  focus; a template tied to a status is offered first for leads in it.
+ *  ------------------------------ */
+export default function TemplatesDialog({ templates, onChange, onClose }) {
+  const set = (id, key, value) => onChange(templates.map((t) => (t.id === id ? { ...t, [key]: value } : t)));
+  const add = () =>
+    onChange([...templates, { id: crypto.randomUUID(), name: "New template", status: "", subject: "", body: "" }]);
+  const remove = (t) => {
+    if (confirm(`Delete the "${t.name}" template?`)) onChange(templates.filter((x) => x.id !== t.id));
+  };
+
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Message templates</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+        <p style={{ margin: 0, fontSize: 13, opacity: 0.8 }}>
+          Merge fields: {Object.keys(TEMPLATE_FIELDS).map((k) => `{{${k}}}`).join(" ")}. The subject is only used for email.
+        </p>
+
+        {templates.map((t) => (
+          <div key={t.id} style={{ display: "grid", gap: 6, borderTop: "1px solid #1f2937", paddingTop: 12 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 180px auto", gap: 8 }}>
+              <input key={`n${t.name}`} style={D.input} defaultValue={t.name} placeholder="Name"
+                     onBlur={(e) => set(t.id, "name", e.target.value.trim() || t.name)} />
+              <select style={D.input} value={t.status} onChange={(e) => set(t.id, "status", e.target.value)}>
+                <option value="">Any status</option>
+                {STATUSES.map((s) => <option key={s} value={s}>{s}</option>)}
+              </select>
+              <button style={{ ...D.btnGhost, padding: "6px 10px", borderColor: "#ef4444", color: "#ef4444" }} onClick={() => remove(t)}>
+                Delete
+              </button>
+            </div>
+            <input key={`s${t.subject}`} style={D.input} defaultValue={t.subject} placeholder="Email subject"
+                   onBlur={(e) => set(t.id, "subject", e.target.value)} />
+            <textarea key={`b${t.body}`} style={{ ...D.input, minHeight: 60 }} defaultValue={t.body}
+                      onBlur={(e) => set(t.id, "body", e.target.value)} />
+          </div>
+        ))}
+
+        <div style={{ display: "flex", gap: 8 }}>
+          <button style={D.btn} onClick={add}>+ Add template</button>
+          <button
+            style={D.btnGhost}
+            onClick={() => confirm("Replace your templates with the defaults?") && onChange(DEFAULT_TEMPLATES)}
+          >
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
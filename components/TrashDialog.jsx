@@ -0,0 +1,125 @@
+// components/TrashDialog.jsx
+import { useState } from "react";
+import { daysLeft, expiredLeads } from "../lib/trash";
+import { D } from "./dialogStyles";
+
+const when = (ts) => new Date(ts).toLocaleString();
+
+/** ------------------------------
+ *  Trashed leads: restore, delete forever, and the retention setting.
+ *  `leads` is already limited to trashed ones, newest first. The
+ *  retention is applied when its box loses focus (or on Enter), after
+ *  confirming any purge the shorter window causes.
+ *  ------------------------------ */
+export default function TrashDialog({ leads, retentionDays, onRetentionChange, onRestore, onPurge, onClose }) {
+  const [picked, setPicked] = useState({});
+  const [days, setDays] = useState(String(retentionDays));
+  const ids = leads.filter((l) => picked[l.id]).map((l) => l.id);
+  const allPicked = leads.length > 0 && ids.length === leads.length;
+
+  const purge = (list) => {
+    if (!list.length) return;
+    if (!confirm(`Permanently delete ${list.length} lead(s)? This cannot be undone.`)) return;
+    onPurge(list);
+    setPicked({});
+  };
+  const restore = (list) => {
+    onRestore(list);
+    setPicked({});
+  };
+  const applyRetention = () => {
+    const next = Math.round(Number(days));
+    if (!(next >= 1) || next === retentionDays) return setDays(String(retentionDays));
+    const expired = expiredLeads(leads, next).length;
+    if (expired && !confirm(`Keeping leads ${next} day(s) permanently deletes ${expired} trashed lead(s) now. Continue?`)) {
+      return setDays(String(retentionDays));
+    }
+    setDays(String(next));
+    onRetentionChange(next);
+  };
+
+  return (
+    <div style={D.backdrop} onClick={onClose}>
+      <div style={D.panel} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h3 style={{ margin: 0, fontSize: 20, fontWeight: 700 }}>Trash ({leads.length})</h3>
+          <button style={D.btnGhost} onClick={onClose}>Close</button>
+        </div>
+
+        <label style={{ display: "flex", gap: 8, alignItems: "center", fontSize: 13 }}>
+          Delete permanently after
+          <input
+            style={{ ...D.input, width: 80 }}
+            type="number"
+            min="1"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            onBlur={applyRetention}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          />
+          days in the trash
+        </label>
+
+        {leads.length === 0 ? (
+          <p style={{ opacity: 0.7 }}>The trash is empty.</p>
+        ) : (
+          <>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+              <button style={D.btn} disabled={!ids.length} onClick={() => restore(ids)}>
+                Restore selected
+              </button>
+              <button style={D.btnGhost} disabled={!ids.length} onClick={() => purge(ids)}>
+                Delete selected forever
+              </button>
+              <button style={{ ...D.btnGhost, borderColor: "#ef4444", color: "#ef4444" }} onClick={() => purge(leads.map((l) => l.id))}>
+                Empty trash
+              </button>
+            </div>
+            <div style={{ overflowX: "auto" }}>
+              <table style={D.table}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>
+                      <input
+                        type="checkbox"
+                        checked={allPicked}
+                        onChange={() => setPicked(allPicked ? {} : Object.fromEntries(leads.map((l) => [l.id, true])))}
+                      />
+                    </th>
+                    <th>Name</th>
+                    <th>Status</th>
+                    <th>Deleted</th>
+                    <th>Purged in</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {leads.map((l) => (
+                    <tr key={l.id} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>
+                        <input
+                          type="checkbox"
+                          checked={!!picked[l.id]}
+                          onChange={() => setPicked((p) => ({ ...p, [l.id]: !p[l.id] }))}
+                        />
+                      </td>
+                      <td>{l.name || "—"}</td>
+                      <td>{l.status}</td>
+                      <td>{when(l.deletedAt)}</td>
+                      <td>{daysLeft(l, retentionDays)} day(s)</td>
+                      <td style={{ textAlign: "right" }}>
+                        <button style={{ ...D.btnGhost, padding: "6px 10px" }} onClick={() => restore([l.id])}>
+                          Restore
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+// components/UndoToast.jsx
+import { useEffect } from "react";
+
+const TOAST = {
+  position: "fixed",
+  left: "50%",
+  bottom: 24,
+  transform: "translateX(-50%)",
+  background: "#111827",
+  border: "1px solid #374151",
+  borderRadius: 10,
+  padding: "10px 14px",
+  display: "flex",
+  gap: 12,
+  alignItems: "center",
+  color: "#e5e7eb",
+  boxShadow: "0 8px 24px rgba(0,0,0,.4)",
+  zIndex: 70,
+};
+const LINK = { background: "none", border: "none", color: "#818cf8", fontWeight: 700, cursor: "pointer", padding: 0 };
+
+/**
+ * "3 leads moved to trash · Undo". Only the last destructive action can be
+ * undone; a new one replaces the toast. Hides itself after `timeout` ms.
+ */
+export default function UndoToast({ message, onUndo, onDismiss, timeout = 8000 }) {
+  useEffect(() => {
+    const t = setTimeout(onDismiss, timeout);
+    return () => clearTimeout(t);
+  }, [message, onDismiss, timeout]);
+
+  return (
+    <div role="status" style={TOAST}>
+      <span>{message}</span>
+      <button style={LINK} onClick={onUndo}>Undo</button>
+      <button style={{ ...LINK, color: "#9ca3af" }} onClick={onDismiss} aria-label="Dismiss">✕</button>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+// components/dialogStyles.js
+/** Shared look for the modal dialogs; matches the CRM's dark cards. */
+export const D = {
+  backdrop: {
+    position: "fixed",
+    inset: 0,
+    background: "rgba(0,0,0,.6)",
+    display: "grid",
+    placeItems: "center",
+    padding: 16,
+    zIndex: 50,
+  },
+  panel: {
+    background: "#111827",
+    border: "1px solid #1f2937",
+    borderRadius: 12,
+    padding: 16,
+    width: "min(900px, 95vw)",
+    maxHeight: "90vh",
+    overflow: "auto",
+    display: "grid",
+    gap: 12,
+    color: "#e5e7eb",
+  },
+  h4: { margin: "4px 0 0", fontSize: 14, opacity: 0.8 },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 14 },
+  input: {
+    background: "#0b1020",
+    border: "1px solid #334155",
+    color: "white",
+    padding: "6px 8px",
+    borderRadius: 8,
+    width: "100%",
+  },
+  btn: {
+    background: "#4f46e5",
+    border: "none",
+    color: "white",
+    padding: "10px 14px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  btnGhost: {
+    background: "transparent",
+    border: "1px solid #374151",
+    color: "white",
+    padding: "10px 14px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+};
@@ -0,0 +1,107 @@
+// lib/activity.js
+/** ------------------------------
+ *  Per-lead activity log: calls, texts, emails, meetings and notes,
+ *  each timestamped with an optional outcome. Stored oldest first on
+ *  lead.activities and shown newest first.
+ *  ------------------------------ */
+import { dayOf, parseDay } from "./dates";
+
+export const ACTIVITY_TYPES = {
+  call: "Call",
+  text: "Text",
+  email: "Email",
+  meeting: "Meeting",
+  note: "Note",
+};
+
+/** Outcomes offered per type; notes have none. */
+export const ACTIVITY_OUTCOMES = {
+  call: ["Connected", "Left voicemail", "No answer", "Wrong number"],
+  text: ["Sent", "Replied", "No reply"],
+  email: ["Sent", "Replied", "No reply", "Bounced"],
+  meeting: ["Held", "Rescheduled", "No-show"],
+  note: [],
+};
+
+export function createActivity({ type = "note", outcome = "", text = "", at = Date.now(), ...rest } = {}) {
+  return {
+    ...rest,
+    id: rest.id || crypto.randomUUID(),
+    at: Number(at) || Date.now(),
+    type: ACTIVITY_TYPES[type] ? type : "note",
+    outcome: String(outcome || "").trim(),
+    text: String(text || "").trim(),
+  };
+}
+
+/** The lead with one more entry on its log. */
+export function addActivity(lead, entry) {
+  const activity = createActivity(entry);
+  return { ...lead, activities: [...(lead.activities || []), activity], updatedAt: Date.now() };
+}
+
+// reversed first so entries logged in the same millisecond keep their order
+export const newestFirst = (activities = []) => [...activities].reverse().sort((a, b) => b.at - a.at);
+
+export const lastActivity = (lead) => newestFirst(lead.activities)[0] || null;
+
+/** "Call · Left voicemail" */
+export const activityLabel = (a) => [ACTIVITY_TYPES[a.type] || a.type, a.outcome].filter(Boolean).join(" · ");
+
+/** Every entry's words, for the search boxes. */
+export const activityText = (lead) =>
+  (lead.activities || []).map((a) => `${activityLabel(a)} ${a.text}`).join(" ");
+
+/** Local "yyyy-mm-dd hh:mm" of an entry. */
+export function activityTime(a) {
+  const d = new Date(a.at);
+  return `${dayOf(d)} ${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+/** One line per entry, newest first, for the CSV export; parseActivityLines reads it back. */
+export const activityLines = (lead) =>
+  newestFirst(lead.activities)
+    .map((a) => `${activityTime(a)} ${activityLabel(a)}${a.text ? `: ${a.text}` : ""}`)
+    .join("\n");
+
+const LINE = /^(\d{4}-\d{2}-\d{2}) (\d{2}):(\d{2}) ([^:]+?)(?:: (.*))?$/;
+
+/**
+ * Entries from activityLines text. A line that does not start with a
+ * time and a known type continues the entry above it (multi-line text);
+ * text before the first entry becomes a note stamped `at`.
+ */
+export function parseActivityLines(text, at = Date.now()) {
+  const entries = [];
+  String(text || "")
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const m = LINE.exec(line.trim());
+      const [typeLabel, outcome = ""] = m ? m[4].split(" · ") : [];
+      const type = Object.keys(ACTIVITY_TYPES).find((k) => ACTIVITY_TYPES[k] === typeLabel);
+      const day = m && parseDay(m[1]);
+      if (type && day) {
+        day.setHours(Number(m[2]), Number(m[3]));
+        entries.push({ at: day.getTime(), type, outcome, text: m[5] || "" });
+      } else if (entries.length) {
+        entries[entries.length - 1].text += `\n${line}`;
+      } else if (line.trim()) {
+        entries.push({ at, type: "note", outcome: "", text: line });
+      }
+    });
+  return entries.map(createActivity).sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Combine several logs, dropping entries that appear in more than one.
+ * Entries match on minute, type, outcome and text, so a log exported to
+ * CSV and imported again does not double up.
+ */
+export function mergeActivities(lists) {
+  const seen = new Map();
+  lists.flat().forEach((a) => {
+    const key = `${activityTime(a)}|${a.type}|${a.outcome || ""}|${a.text}`;
+    if (!seen.has(key)) seen.set(key, a);
+  });
+  return [...seen.values()].sort((a, b) => a.at - b.at);
+}
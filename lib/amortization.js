@@ -0,0 +1,75 @@
+// lib/amortization.js
+import { monthlyPrincipalAndInterest } from "./mortgage";
+import { parseDay } from "./dates";
+
+/**
+ * Month-by-month schedule for a fixed-rate loan.
+ * extraMonthly is added to every payment; oneTime is a list of
+ * { month, amount } lump sums applied to principal in that payment month.
+ * The loan ends early once extra principal pays the balance down.
+ */
+export function buildSchedule({ principal, annualRate, termYears, extraMonthly = 0, oneTime = [], startDate }) {
+  const n = Math.round(termYears * 12);
+  const r = annualRate / 100 / 12;
+  const payment = monthlyPrincipalAndInterest(principal, annualRate, termYears);
+  const lumps = new Map();
+  oneTime.forEach(({ month, amount }) => {
+    const m = Math.round(Number(month));
+    const a = Number(amount) || 0;
+    if (m >= 1 && a > 0) lumps.set(m, (lumps.get(m) || 0) + a);
+  });
+
+  const start = parseDay(startDate) || new Date();
+  const rows = [];
+  let balance = principal;
+  let totalInterest = 0;
+  for (let month = 1; month <= n && balance > 0.005; month++) {
+    const interest = balance * r;
+    const scheduled = Math.min(payment - interest, balance);
+    const extra = Math.min((Number(extraMonthly) || 0) + (lumps.get(month) || 0), balance - scheduled);
+    balance = Math.max(0, balance - scheduled - extra);
+    totalInterest += interest;
+    const date = new Date(start.getFullYear(), start.getMonth() + month, 1);
+    rows.push({
+      month,
+      date: `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`,
+      payment: scheduled + interest,
+      principal: scheduled,
+      interest,
+      extra,
+      balance,
+      totalInterest,
+    });
+  }
+  return { payment, rows, totalInterest, months: rows.length };
+}
+
+/** Roll a monthly schedule up to one point per loan year for the charts. */
+export function yearlyTotals(rows) {
+  const years = [];
+  rows.forEach((row) => {
+    const y = Math.ceil(row.month / 12);
+    if (!years[y - 1]) years[y - 1] = { year: y, principal: 0, interest: 0, balance: 0 };
+    const bucket = years[y - 1];
+    bucket.principal += row.principal + row.extra;
+    bucket.interest += row.interest;
+    bucket.balance = row.balance;
+  });
+  return years;
+}
+
+export const SCHEDULE_CSV_HEADER = ["month", "date", "payment", "principal", "interest", "extra", "balance", "totalInterest"];
+
+export function scheduleToCSVRows(rows) {
+  const money = (v) => v.toFixed(2);
+  return rows.map((r) => [
+    r.month,
+    r.date,
+    money(r.payment),
+    money(r.principal),
+    money(r.interest),
+    money(r.extra),
+    money(r.balance),
+    money(r.totalInterest),
+  ]);
+}
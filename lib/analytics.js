@@ -0,0 +1,106 @@
+// lib/analytics.js
+/** ------------------------------
+ *  Pipeline metrics for the dashboard. Pure functions over lead lists.
+ *  ------------------------------ */
+import { LOAN_TYPES, SOURCES, STATUSES } from "./leadSchema";
+import { dayOf } from "./dates";
+
+const amount = (l) => Number(l.loanAmount) || 0;
+
+/**
+ * Leads created inside [from, to] (yyyy-mm-dd, inclusive, either may be blank).
+ * Won leads are also kept when their closeDate falls in the range, so a
+ * deal that closed this month counts even if it came in last year.
+ */
+export function inRange(leads, from, to) {
+  const within = (day) => !!day && (!from || day >= from) && (!to || day <= to);
+  if (!from && !to) return leads;
+  return leads.filter((l) => within(dayOf(l.createdAt)) || (l.status === "Won" && within(l.closeDate)));
+}
+
+/** Leads at or past each open stage; Lost is reported as its own bar. */
+export function statusFunnel(leads) {
+  const open = STATUSES.filter((s) => s !== "Lost");
+  const rank = (s) => open.indexOf(s);
+  return [
+    ...open.map((stage) => ({
+      stage,
+      count: leads.filter((l) => l.status !== "Lost" && rank(l.status) >= rank(stage)).length,
+      current: leads.filter((l) => l.status === stage).length,
+    })),
+    { stage: "Lost", count: leads.filter((l) => l.status === "Lost").length, current: 0 },
+  ];
+}
+
+/** Won loan volume per closeDate month, oldest first, with empty months filled in. */
+export function wonVolumeByMonth(leads) {
+  const byMonth = new Map();
+  leads
+    .filter((l) => l.status === "Won" && l.closeDate)
+    .forEach((l) => {
+      const month = l.closeDate.slice(0, 7);
+      const row = byMonth.get(month) || { month, volume: 0, count: 0 };
+      row.volume += amount(l);
+      row.count += 1;
+      byMonth.set(month, row);
+    });
+  const months = Array.from(byMonth.keys()).sort();
+  if (!months.length) return [];
+  const out = [];
+  let [y, m] = months[0].split("-").map(Number);
+  const last = months[months.length - 1];
+  for (;;) {
+    const key = `${y}-${String(m).padStart(2, "0")}`;
+    out.push(byMonth.get(key) || { month: key, volume: 0, count: 0 });
+    if (key === last) break;
+    m += 1;
+    if (m > 12) {
+      m = 1;
+      y += 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Won / decided / total per group. closeRate counts only leads that
+ * reached Won or Lost; conversion counts every lead in the group.
+ */
+export function conversionBy(leads, keyOf, order = []) {
+  const groups = new Map(order.map((k) => [k, []]));
+  leads.forEach((l) => {
+    const k = keyOf(l) || "—";
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(l);
+  });
+  return Array.from(groups, ([key, list]) => {
+    const won = list.filter((l) => l.status === "Won");
+    const decided = list.filter((l) => l.status === "Won" || l.status === "Lost").length;
+    return {
+      key,
+      total: list.length,
+      won: won.length,
+      wonVolume: won.reduce((t, l) => t + amount(l), 0),
+      conversion: list.length ? Math.round((won.length / list.length) * 100) : 0,
+      closeRate: decided ? Math.round((won.length / decided) * 100) : 0,
+    };
+  }).filter((g) => g.total > 0);
+}
+
+export const conversionBySource = (leads) => conversionBy(leads, (l) => l.source, SOURCES);
+export const conversionByAgent = (leads) =>
+  conversionBy(leads, (l) => l.agent).sort((a, b) => b.won - a.won || b.total - a.total);
+
+export function loanTypeMix(leads) {
+  return LOAN_TYPES.map((type) => {
+    const list = leads.filter((l) => l.loanType === type);
+    return { type, count: list.length, volume: list.reduce((t, l) => t + amount(l), 0) };
+  }).filter((r) => r.count > 0);
+}
+
+export function averageLoan(leads) {
+  const withAmount = leads.filter((l) => amount(l) > 0);
+  const won = withAmount.filter((l) => l.status === "Won");
+  const avg = (list) => (list.length ? list.reduce((t, l) => t + amount(l), 0) / list.length : 0);
+  return { all: avg(withAmount), won: avg(won) };
+}
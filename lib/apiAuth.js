@@ -0,0 +1,49 @@
+// lib/apiAuth.js
+// Server-only: the sign-in check in front of /api/leads and /api/partners.
+import { createHmac, timingSafeEqual } from "crypto";
+
+/** The shared secret; without it the data routes stay closed. */
+const TOKEN = process.env.UMM_API_TOKEN || "";
+
+export const SESSION_COOKIE = "umm_session";
+const SESSION_DAYS = 30;
+const SESSION_MS = SESSION_DAYS * 24 * 60 * 60 * 1000;
+
+const sign = (value) => createHmac("sha256", TOKEN).update(String(value)).digest("hex");
+const same = (a, b) => a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/** Compared as HMACs so neither the length nor the content leaks through timing. */
+export const tokenMatches = (token) => !!TOKEN && typeof token === "string" && same(sign(token), sign(TOKEN));
+
+/** "<issued>.<hmac>", valid for SESSION_DAYS; changing the token ends every session. */
+export function validSession(value) {
+  const [issued, mac] = String(value || "").split(".");
+  return !!TOKEN && !!mac && same(mac, sign(issued)) && Date.now() - Number(issued) < SESSION_MS;
+}
+
+/** Set-Cookie value that starts a session, or ends it when `signedIn` is false. */
+export function sessionCookie(req, signedIn) {
+  const issued = Date.now();
+  const secure = req.headers["x-forwarded-proto"] === "https" || req.socket?.encrypted ? "; Secure" : "";
+  const value = signedIn ? `${issued}.${sign(issued)}` : "";
+  const maxAge = signedIn ? SESSION_MS / 1000 : 0;
+  return `${SESSION_COOKIE}=${value}; Path=/api; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * True when the request has a session cookie or "Authorization: Bearer
+ * <UMM_API_TOKEN>". Otherwise answers 401 (503 while no token is
+ * configured) and returns false; call it before touching any store.
+ */
+export function requireAuth(req, res) {
+  if (!TOKEN) {
+    res.status(503).json({ error: "Server sync is off until UMM_API_TOKEN is set." });
+    return false;
+  }
+  const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1];
+  if (tokenMatches(bearer) || validSession(req.cookies?.[SESSION_COOKIE])) return true;
+  res.status(401).json({ error: "Sign in required" });
+  return false;
+}
+
+export const authConfigured = () => !!TOKEN;
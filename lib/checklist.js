@@ -0,0 +1,99 @@
+// lib/checklist.js
+/** ------------------------------
+ *  Document checklist and underwriting conditions per lead. Documents
+ *  come from a template per loan type (plus the "all" list) when a lead
+ *  enters processing; conditions are added by hand as underwriting
+ *  issues them. A lead cannot move to Clear to Close with anything open.
+ *  ------------------------------ */
+
+export const ITEM_KINDS = { document: "Document", condition: "Condition" };
+
+/** An item is open until it is cleared. */
+export const ITEM_STATES = { requested: "Requested", received: "Received", cleared: "Cleared" };
+
+/** Entering one of these stages adds the loan type's template documents. */
+export const CHECKLIST_STAGES = ["In Process", "Conditional"];
+
+/** Document names per loan type; "all" applies to every loan. */
+export const DEFAULT_CHECKLISTS = {
+  all: ["W-2s (last 2 years)", "Paystubs (last 30 days)", "Bank statements (last 2 months)", "Photo ID"],
+  Conventional: [],
+  FHA: ["FHA case number"],
+  VA: ["DD-214", "Certificate of Eligibility (COE)"],
+  Jumbo: ["Tax returns (last 2 years)", "Reserve asset statements"],
+  USDA: ["USDA eligibility determination", "Household income for all members"],
+  HELOC: ["Current mortgage statement", "Homeowners insurance declarations"],
+};
+
+export function createItem({ label = "", kind = "document", state = "requested", ...rest } = {}) {
+  return {
+    ...rest,
+    id: rest.id || crypto.randomUUID(),
+    label: String(label || "").trim(),
+    kind: ITEM_KINDS[kind] ? kind : "document",
+    state: ITEM_STATES[state] ? state : "requested",
+  };
+}
+
+/** Template document names for a loan type, shared ones first. */
+export const templateFor = (loanType, checklists = DEFAULT_CHECKLISTS) => [
+  ...(checklists.all || []),
+  ...(checklists[loanType] || []),
+];
+
+/** The lead with any template documents it lacks added as requested. */
+export function seedChecklist(lead, checklists) {
+  const items = lead.checklist || [];
+  const have = new Set(items.map((i) => i.label.toLowerCase()));
+  const missing = templateFor(lead.loanType, checklists).filter((label) => !have.has(label.toLowerCase()));
+  return missing.length ? { ...lead, checklist: [...items, ...missing.map((label) => createItem({ label }))] } : lead;
+}
+
+/** Seed only when the lead just entered a checklist stage. */
+export const seedOnEntry = (lead, prevStatus, checklists) =>
+  CHECKLIST_STAGES.includes(lead.status) && !CHECKLIST_STAGES.includes(prevStatus)
+    ? seedChecklist(lead, checklists)
+    : lead;
+
+export const openItems = (lead) => (lead.checklist || []).filter((i) => i.state !== "cleared");
+
+/** { cleared, total, pct }, or null for a lead with no items. */
+export function checklistProgress(lead) {
+  const total = (lead.checklist || []).length;
+  if (!total) return null;
+  const cleared = total - openItems(lead).length;
+  return { cleared, total, pct: Math.round((cleared / total) * 100) };
+}
+
+/**
+ * Why the lead may not move to Clear to Close, or "" when it may.
+ * Template documents the lead was never given count as open, so a lead
+ * that skipped the checklist stages is held too.
+ */
+export function clearToCloseBlock(lead, checklists) {
+  const open = openItems(seedChecklist(lead, checklists));
+  if (!open.length) return "";
+  const names = open.slice(0, 3).map((i) => i.label).join(", ");
+  return `Clear ${open.length} open checklist item(s) before Clear to Close: ${names}${open.length > 3 ? ", …" : ""}.`;
+}
+
+/**
+ * Imports skip the move checks, so a record that would enter Clear to
+ * Close with the gate unmet keeps its stored stage instead (Conditional,
+ * with its documents, for a new lead). Records may hold only some fields
+ * and are matched to `existing` by id. Returns { records, held }, held
+ * being the names of the leads that were kept back.
+ */
+export function holdClearToClose(records, existing, checklists) {
+  const byId = new Map(existing.map((l) => [l.id, l]));
+  const held = [];
+  const kept = records.map((record) => {
+    const before = byId.get(record.id);
+    if (record.status !== "Clear to Close" || before?.status === "Clear to Close") return record;
+    const lead = { ...before, ...record };
+    if (!clearToCloseBlock(lead, checklists)) return record;
+    held.push(lead.name || "Unnamed lead");
+    return before ? { ...record, status: before.status } : seedChecklist({ ...record, status: "Conditional" }, checklists);
+  });
+  return { records: kept, held };
+}
@@ -0,0 +1,48 @@
+// lib/contact.js
+/** ------------------------------
+ *  Phone and email clean-up, plus the comparison keys used to spot
+ *  the same borrower entered twice.
+ *  ------------------------------ */
+
+/**
+ * E.164 form of a phone number ("+15551234567"), or "" when it cannot be
+ * one. Ten digits are taken as North American; other countries need a +.
+ */
+export function toE164(v) {
+  const raw = String(v || "").trim();
+  const digits = raw.replace(/\D/g, "");
+  if (/^\+/.test(raw)) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : "";
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits[0] === "1") return `+${digits}`;
+  return "";
+}
+
+/** Stored phones are E.164; input that cannot be converted is kept as typed. */
+export const normalizePhone = (v) => toE164(v) || String(v || "").trim();
+
+/** Display form: North American numbers as (555) 123-4567, the rest unchanged. */
+export function formatPhone(v) {
+  const e164 = toE164(v);
+  if (!/^\+1\d{10}$/.test(e164)) return String(v || "");
+  return `(${e164.slice(2, 5)}) ${e164.slice(5, 8)}-${e164.slice(8)}`;
+}
+
+export const normalizeEmail = (v) => String(v || "").trim().toLowerCase();
+
+/** Digits only, without the US country code; "" when too short to mean anything. */
+export function phoneKey(v) {
+  const digits = String(v || "").replace(/\D/g, "");
+  const key = digits.length === 11 && digits[0] === "1" ? digits.slice(1) : digits;
+  return key.length >= 7 ? key : "";
+}
+
+/** Gmail ignores dots and +tags, so two spellings of one inbox compare equal. */
+export function emailKey(v) {
+  const email = normalizeEmail(v);
+  const at = email.lastIndexOf("@");
+  if (at < 1) return "";
+  let [user, domain] = [email.slice(0, at), email.slice(at + 1)];
+  if (domain === "googlemail.com") domain = "gmail.com";
+  if (domain === "gmail.com") user = user.replace(/\./g, "");
+  return `${user.replace(/\+.*$/, "")}@${domain}`;
+}
@@ -0,0 +1,210 @@
+// lib/csvImport.js
+/** ------------------------------
+ *  CSV / TSV parsing and column mapping for lead imports.
+ *  Mapped rows are handed to migrateLead so imports follow the
+ *  same status/tag/amount rules as every other way a lead arrives.
+ *  ------------------------------ */
+import { LOAN_TYPES, SOURCES, STATUSES, importedFields, migrateLead } from "./leadSchema";
+import { parseActivityLines } from "./activity";
+
+/** Lead fields a column can be mapped to, with header aliases used for auto-mapping. */
+export const IMPORT_FIELDS = [
+  { key: "name", label: "Name", aliases: ["name", "full name", "borrower", "borrower name", "client", "contact name"] },
+  { key: "firstName", label: "First Name", aliases: ["first name", "first", "firstname", "borrower first name"] },
+  { key: "lastName", label: "Last Name", aliases: ["last name", "last", "lastname", "surname", "borrower last name"] },
+  { key: "phone", label: "Phone", aliases: ["phone", "phone number", "mobile", "cell", "cell phone", "telephone"] },
+  { key: "email", label: "Email", aliases: ["email", "email address", "e-mail"] },
+  { key: "contact", label: "Phone or Email", aliases: ["contact", "contact info"] },
+  { key: "loanAmount", label: "Loan Amount", aliases: ["loan amount", "amount", "loan", "loan size", "price", "purchase price"] },
+  { key: "loanType", label: "Loan Type", aliases: ["loan type", "program", "loan program"] },
+  { key: "status", label: "Status", aliases: ["status", "stage", "lead status"] },
+  { key: "source", label: "Source", aliases: ["source", "lead source", "origin"] },
+  { key: "agent", label: "Partner / Realtor", aliases: ["agent", "realtor", "partner", "referring agent", "buyer agent"] },
+  { key: "propertyAddress", label: "Property Address", aliases: ["property address", "address", "property", "street address"] },
+  { key: "tags", label: "Tags", aliases: ["tags", "labels"] },
+  { key: "notes", label: "Notes", aliases: ["notes", "note", "comments", "message"] },
+  { key: "activities", label: "Activity log (as exported)", aliases: ["activity", "activities", "activity log"] },
+  { key: "nextFollowUp", label: "Next Follow-Up", aliases: ["next follow-up", "next follow up", "nextfollowup", "follow up", "follow-up date"] },
+  { key: "closeDate", label: "Close Date", aliases: ["close date", "closing date", "closedate", "closed"] },
+  { key: "id", label: "ID (merge key)", aliases: ["id", "lead id"] },
+];
+
+/** Pick tab or comma by file name, falling back to whichever appears more in the header line. */
+export function detectDelimiter(text, fileName = "") {
+  if (/\.tsv$/i.test(fileName)) return "\t";
+  if (/\.csv$/i.test(fileName)) return ",";
+  const first = text.split(/\r?\n/, 1)[0] || "";
+  return (first.match(/\t/g) || []).length > (first.match(/,/g) || []).length ? "\t" : ",";
+}
+
+/** RFC 4180-style parser: quoted fields, doubled quotes, embedded newlines, CRLF. */
+export function parseDelimited(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/** headers → field key (or "") per column, matched on normalized aliases. */
+export function guessMapping(headers) {
+  const norm = (s) => String(s || "").toLowerCase().replace(/[_\s]+/g, " ").trim();
+  const used = new Set();
+  return headers.map((h) => {
+    const n = norm(h);
+    const hit = IMPORT_FIELDS.find(
+      (f) => !used.has(f.key) && (norm(f.key) === n || f.aliases.includes(n))
+    );
+    if (!hit) return "";
+    used.add(hit.key);
+    return hit.key;
+  });
+}
+
+/** "$350,000.00" → 350000; blank or unreadable → "" */
+export function coerceAmount(v) {
+  const s = String(v || "").replace(/[$,\s]/g, "");
+  if (!s) return "";
+  const k = s.match(/^(\d+(?:\.\d+)?)k$/i);
+  const n = k ? Number(k[1]) * 1000 : Number(s);
+  return Number.isFinite(n) && n >= 0 ? n : "";
+}
+
+/** Accepts yyyy-mm-dd, m/d/yyyy, m/d/yy and ISO timestamps; returns local yyyy-mm-dd or "". */
+export function coerceDate(v) {
+  const s = String(v || "").trim();
+  if (!s) return "";
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return ymd(+m[1], +m[2], +m[3]);
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    return ymd(year, +m[1], +m[2]);
+  }
+  const d = new Date(s);
+  return isNaN(d) ? "" : ymd(d.getFullYear(), d.getMonth() + 1, d.getDate());
+}
+
+function ymd(y, m, d) {
+  const date = new Date(y, m - 1, d);
+  if (date.getMonth() !== m - 1 || date.getDate() !== d) return "";
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+/** Case-insensitive match against a fixed list; unmatched values are returned untouched. */
+function pick(list, v) {
+  const s = String(v || "").trim();
+  return list.find((x) => x.toLowerCase() === s.toLowerCase()) || s;
+}
+
+/**
+ * Turn one parsed row into a lead using the column mapping.
+ * Returns { lead, fields, issues }: fields holds only what the mapped
+ * columns supplied (for merging by id), issues the values that had to be dropped.
+ */
+export function rowToLead(row, mapping) {
+  const raw = {};
+  const issues = [];
+  mapping.forEach((key, i) => {
+    if (!key) return;
+    const v = String(row[i] ?? "").trim();
+    if (!v) return;
+    raw[key] = raw[key] && key === "notes" ? `${raw[key]}\n${v}` : v;
+  });
+
+  if (!raw.name && (raw.firstName || raw.lastName)) {
+    raw.name = [raw.firstName, raw.lastName].filter(Boolean).join(" ");
+  }
+  delete raw.firstName;
+  delete raw.lastName;
+
+  if (raw.loanAmount !== undefined) {
+    const amount = coerceAmount(raw.loanAmount);
+    if (amount === "") issues.push(`loan amount "${raw.loanAmount}"`);
+    raw.loanAmount = amount;
+  }
+  ["nextFollowUp", "closeDate"].forEach((k) => {
+    if (raw[k] === undefined) return;
+    const d = coerceDate(raw[k]);
+    if (!d) issues.push(`date "${raw[k]}"`);
+    raw[k] = d;
+  });
+  if (raw.status !== undefined) {
+    const status = pick(STATUSES, raw.status);
+    if (STATUSES.includes(status)) {
+      raw.status = status;
+    } else {
+      issues.push(`status "${raw.status}"`);
+      delete raw.status; // keeps an id merge from resetting the stage
+    }
+  }
+  if (raw.loanType !== undefined) {
+    const type = pick(LOAN_TYPES, raw.loanType);
+    if (LOAN_TYPES.includes(type)) {
+      raw.loanType = type;
+    } else {
+      issues.push(`loan type "${raw.loanType}"`);
+      delete raw.loanType;
+    }
+  }
+  if (raw.source !== undefined) raw.source = pick(SOURCES, raw.source);
+  if (raw.tags !== undefined) raw.tags = raw.tags.split(/[,;|]/);
+  if (raw.activities !== undefined) raw.activities = parseActivityLines(raw.activities);
+
+  const now = Date.now();
+  const lead = migrateLead({ createdAt: now, updatedAt: now, ...raw });
+  return { lead, fields: importedFields(raw, lead), issues };
+}
+
+/** Map every data row; rows without a name are skipped and reported. */
+export function mapRows(rows, mapping) {
+  const leads = [];
+  const fields = []; // importedFields of each entry in leads
+  const leadRows = []; // data row of each entry in leads
+  const skipped = [];
+  const warnings = [];
+  rows.forEach((cells, i) => {
+    const { lead, fields: supplied, issues } = rowToLead(cells, mapping);
+    const row = i + 1; // 1-based data row, header not counted
+    if (!lead.name) {
+      skipped.push({ row, reason: "no name" });
+      return;
+    }
+    if (issues.length) warnings.push({ row, reason: `ignored ${issues.join(", ")}` });
+    leads.push(lead);
+    fields.push(supplied);
+    leadRows.push(row);
+  });
+  return { leads, fields, leadRows, skipped, warnings };
+}
@@ -0,0 +1,64 @@
+// lib/dates.js
+/** ------------------------------
+ *  Local calendar days. Follow-ups, close dates and the like are stored
+ *  as yyyy-mm-dd with no time zone; they always mean that day on the
+ *  user's wall clock. Never hand one to `new Date(string)`: it parses as
+ *  UTC midnight, which is the previous evening anywhere west of London.
+ *  ------------------------------ */
+const DAY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const pad = (n) => String(n).padStart(2, "0");
+
+/** yyyy-mm-dd for a timestamp or Date in the browser's time zone. */
+export function dayOf(when = Date.now()) {
+  const d = new Date(when);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+export const localToday = () => dayOf(Date.now());
+
+/** Local midnight of a yyyy-mm-dd day, or null if it is not one. */
+export function parseDay(day) {
+  const m = DAY_RE.exec(String(day || ""));
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+/** Calendar arithmetic, done in UTC so a DST change never shifts the day. */
+export function addDays(day, n) {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Whole days from a to b (positive when b is later). */
+export function daysBetween(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 864e5);
+}
+
+export function formatDay(day, options) {
+  const d = parseDay(day);
+  return d ? d.toLocaleDateString(undefined, options) : day || "";
+}
+
+/** ---- Follow-up buckets ---- */
+export const FOLLOW_UP_BUCKETS = {
+  overdue: "Overdue",
+  today: "Due Today",
+  week: "This Week",
+};
+
+const isOpen = (lead) => lead.status !== "Won" && lead.status !== "Lost";
+
+/**
+ * Where an open lead's next follow-up falls relative to `today`:
+ * "overdue" | "today" | "week" (the next six days) | "later", or null
+ * when there is nothing to do.
+ */
+export function followUpBucket(lead, today = localToday()) {
+  const due = lead.nextFollowUp;
+  if (!due || !isOpen(lead)) return null;
+  if (due < today) return "overdue";
+  if (due === today) return "today";
+  return daysBetween(today, due) <= 6 ? "week" : "later";
+}
+
+export const isOverdue = (lead, today) => followUpBucket(lead, today) === "overdue";
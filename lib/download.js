@@ -0,0 +1,26 @@
+// lib/download.js
+import { localToday } from "./dates";
+
+/** Browser download helpers shared by the exports. */
+export function downloadBlob(data, filename, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+export function csvCell(v) {
+  const s = String(v ?? "");
+  if (/[,"\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+export function toCSV(rows) {
+  return rows.map((r) => r.map(csvCell).join(",")).join("\n");
+}
+
+export const dateStamp = () => localToday();
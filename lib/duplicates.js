@@ -0,0 +1,156 @@
+// lib/duplicates.js
+/** ------------------------------
+ *  Likely-duplicate detection and merging.
+ *  A match is an exact phone or email (compared by contact key) or a
+ *  fuzzy name plus address match. Trashed leads are never matched.
+ *  ------------------------------ */
+import { STATUSES, normalizeLead } from "./leadSchema";
+import { emailKey, phoneKey } from "./contact";
+import { mergeActivities } from "./activity";
+
+const NAME_MIN = 0.85;
+const ADDRESS_MIN = 0.85;
+
+const ADDRESS_WORDS = {
+  street: "st", avenue: "ave", road: "rd", drive: "dr", lane: "ln", boulevard: "blvd", court: "ct",
+  place: "pl", circle: "cir", highway: "hwy", parkway: "pkwy", terrace: "ter", apartment: "apt",
+  suite: "ste", unit: "apt", north: "n", south: "s", east: "e", west: "w",
+};
+
+const words = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter(Boolean);
+
+/** Lower-case name with its words sorted, so "Smith, John" matches "John Smith". */
+export const nameKey = (name) => words(name).sort().join(" ");
+export const addressKey = (addr) => words(addr).map((w) => ADDRESS_WORDS[w] || w).join(" ");
+
+/** 1 - edit distance / longer length. */
+export function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+/** Why two leads look like the same borrower; empty when they don't. */
+export function matchReasons(a, b) {
+  const reasons = [];
+  const phone = phoneKey(a.phone);
+  if (phone && phone === phoneKey(b.phone)) reasons.push("same phone");
+  const email = emailKey(a.email);
+  if (email && email === emailKey(b.email)) reasons.push("same email");
+  const addrA = addressKey(a.propertyAddress);
+  const addrB = addressKey(b.propertyAddress);
+  if (
+    addrA &&
+    addrB &&
+    similarity(nameKey(a.name), nameKey(b.name)) >= NAME_MIN &&
+    similarity(addrA, addrB) >= ADDRESS_MIN
+  ) {
+    reasons.push("similar name and address");
+  }
+  return reasons;
+}
+
+/** [{ lead, reasons }] for every live lead in `leads` that `lead` may duplicate. */
+export function findDuplicates(lead, leads) {
+  return leads
+    .filter((l) => l.id !== lead.id && !l.deletedAt)
+    .map((l) => ({ lead: l, reasons: matchReasons(lead, l) }))
+    .filter((m) => m.reasons.length);
+}
+
+/** Live leads grouped into clusters of two or more likely duplicates. */
+export function duplicateGroups(leads) {
+  const live = leads.filter((l) => !l.deletedAt);
+  const parent = live.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < live.length; i++) {
+    for (let j = i + 1; j < live.length; j++) {
+      if (matchReasons(live[i], live[j]).length) parent[root(j)] = root(i);
+    }
+  }
+  const groups = new Map();
+  live.forEach((l, i) => {
+    const r = root(i);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(l);
+  });
+  return Array.from(groups.values()).filter((g) => g.length > 1);
+}
+
+/** ---- Merge ---- */
+
+/** Fields picked one record at a time on the merge screen. */
+export const MERGE_FIELDS = [
+  ["name", "Name"],
+  ["phone", "Phone"],
+  ["email", "Email"],
+  ["source", "Source"],
+  ["agent", "Partner / Realtor"],
+  ["status", "Status"],
+  ["loanType", "Loan Type"],
+  ["loanAmount", "Loan Amount"],
+  ["purchasePrice", "Purchase Price"],
+  ["interestRate", "Interest Rate"],
+  ["termYears", "Term"],
+  ["propertyAddress", "Property Address"],
+  ["propertyTax", "Property Tax"],
+  ["homeInsurance", "Homeowners Insurance"],
+  ["hoaDues", "HOA"],
+  ["vaUse", "VA Funding Fee"],
+  ["nextFollowUp", "Next Follow-Up"],
+  ["closeDate", "Close Date"],
+  ["lostReason", "Lost Reason"],
+  ["followUpPlan", "Follow-Up Cadence"],
+];
+
+const blank = (v) => v === "" || v === null || v === undefined;
+
+/** For each field, the newest record that has a value; status goes to the one furthest along. */
+export function defaultPicks(records) {
+  const newest = [...records].sort((a, b) => b.updatedAt - a.updatedAt);
+  const picks = Object.fromEntries(
+    MERGE_FIELDS.map(([key]) => [key, (newest.find((r) => !blank(r[key])) || newest[0]).id])
+  );
+  const stage = (r) => STATUSES.indexOf(r.status);
+  picks.status = newest.reduce((a, b) => (stage(b) > stage(a) ? b : a)).id;
+  return picks;
+}
+
+/**
+ * One record out of several. `picks` maps field -> id of the record to take
+ * it from; tags, activity logs and status histories are combined.
+ * The result keeps keepId; the caller trashes the others.
+ */
+export function mergeRecords(records, picks, keepId, now = Date.now()) {
+  const byId = new Map(records.map((r) => [r.id, r]));
+  const keep = byId.get(keepId) || records[0];
+  const picked = Object.fromEntries(MERGE_FIELDS.map(([key]) => [key, (byId.get(picks[key]) || keep)[key]]));
+
+  // A later duplicate's first entry only marks when it was typed in again, not a real move.
+  const oldest = records.reduce((a, b) => (b.createdAt < a.createdAt ? b : a));
+  const history = records
+    .flatMap((r) => (r === oldest ? r.statusHistory || [] : (r.statusHistory || []).slice(1)))
+    .sort((a, b) => a.at - b.at)
+    .filter((h, i, list) => i === 0 || list[i - 1].status !== h.status);
+
+  return normalizeLead({
+    ...keep,
+    ...picked,
+    partnerId: (byId.get(picks.agent) || keep).partnerId, // follows the agent name it was linked with
+    id: keep.id,
+    tags: Array.from(new Set(records.flatMap((r) => r.tags || []))),
+    activities: mergeActivities(records.map((r) => r.activities || [])),
+    statusHistory: history,
+    createdAt: Math.min(...records.map((r) => r.createdAt)),
+    lastFollowUp: records.map((r) => r.lastFollowUp || "").sort().pop(),
+    updatedAt: now,
+  });
+}
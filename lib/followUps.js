@@ -0,0 +1,60 @@
+// lib/followUps.js
+/** ------------------------------
+ *  Follow-up cadences. A plan lives on the lead (followUpPlan, shape in
+ *  leadSchema); completing a follow-up asks the plan for the next date.
+ *  Dates are local calendar days, see lib/dates.
+ *  ------------------------------ */
+import { STATUSES } from "./leadSchema";
+import { addDays, localToday } from "./dates";
+
+/** Stage gaps offered when a drip plan is first switched on. */
+export const DEFAULT_DRIP = { New: 1, "Pre-Approved": 7, "In Process": 3, Conditional: 2, "Clear to Close": 1 };
+
+const CLOSED = ["Won", "Lost"];
+const reached = (status, target) => STATUSES.indexOf(status) >= STATUSES.indexOf(target);
+
+/** Days until the next touch while in `status`, or null once the plan has run out. */
+export function planGap(plan, status) {
+  if (!plan || CLOSED.includes(status)) return null;
+  if (plan.type === "interval") return reached(status, plan.untilStatus) ? null : plan.everyDays;
+  if (plan.type === "stage") return plan.days[status] || null;
+  return null;
+}
+
+export function describePlan(plan) {
+  if (!plan) return "No cadence";
+  if (plan.type === "interval") return `Every ${plan.everyDays} day(s) until ${plan.untilStatus}`;
+  const steps = Object.entries(plan.days).map(([s, n]) => `${s} ${n}d`);
+  return steps.length ? `Stage drip: ${steps.join(", ")}` : "Stage drip (no stages set)";
+}
+
+/** The date the plan would pick counting from `from`, or "" when nothing is due. */
+export function scheduleNext(lead, from = localToday()) {
+  const gap = planGap(lead.followUpPlan, lead.status);
+  return gap ? addDays(from, gap) : "";
+}
+
+/** Mark today's follow-up done and let the plan book the next one. */
+export function completeFollowUp(lead, today = localToday()) {
+  return { ...lead, lastFollowUp: today, nextFollowUp: scheduleNext(lead, today), updatedAt: Date.now() };
+}
+
+/** Push the follow-up `days` out from today; the plan picks up again once it is done. */
+export function snoozeFollowUp(lead, days, today = localToday()) {
+  return { ...lead, nextFollowUp: addDays(today, days), updatedAt: Date.now() };
+}
+
+/**
+ * Keep the date in step with the plan after an edit: a plan without a date
+ * gets one, and a stage drip restarts its clock when the stage changes.
+ */
+export function syncFollowUp(lead, prevStatus, today = localToday()) {
+  const plan = lead.followUpPlan;
+  if (!plan) return lead;
+  const stageChanged = prevStatus !== undefined && prevStatus !== lead.status;
+  if (!lead.nextFollowUp || (stageChanged && plan.type === "stage")) {
+    const next = scheduleNext(lead, today);
+    if (next && next !== lead.nextFollowUp) return { ...lead, nextFollowUp: next };
+  }
+  return lead;
+}
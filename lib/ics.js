@@ -0,0 +1,80 @@
+// lib/ics.js
+/** ------------------------------
+ *  iCalendar (RFC 5545) export of follow-ups as all-day events.
+ *  ------------------------------ */
+import { addDays } from "./dates";
+import { describePlan } from "./followUps";
+import { formatPhone } from "./contact";
+
+const text = (v) =>
+  String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+/** Lines longer than 75 octets continue on the next line after a space. */
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let chunk = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) {
+      out.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += ch;
+    size += n;
+  }
+  out.push(chunk);
+  return out.join("\r\n ");
+}
+
+const stamp = (ts) => new Date(ts).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+const dateValue = (day) => day.replace(/-/g, "");
+
+/** One VEVENT for a lead's next follow-up, or null when it has none. */
+export function followUpEvent(lead, now = Date.now()) {
+  if (!lead.nextFollowUp) return null;
+  const details = [
+    lead.phone && `Phone: ${formatPhone(lead.phone)}`,
+    lead.email && `Email: ${lead.email}`,
+    `Status: ${lead.status}`,
+    lead.loanType && `Loan: ${lead.loanType}${lead.loanAmount ? ` $${Number(lead.loanAmount).toLocaleString()}` : ""}`,
+    lead.followUpPlan && `Cadence: ${describePlan(lead.followUpPlan)}`,
+  ].filter(Boolean);
+  return [
+    "BEGIN:VEVENT",
+    `UID:${lead.id}-${dateValue(lead.nextFollowUp)}@umm-crm`,
+    `DTSTAMP:${stamp(now)}`,
+    `DTSTART;VALUE=DATE:${dateValue(lead.nextFollowUp)}`,
+    `DTEND;VALUE=DATE:${dateValue(addDays(lead.nextFollowUp, 1))}`,
+    `SUMMARY:${text(`Follow up: ${lead.name || "Lead"}`)}`,
+    `DESCRIPTION:${text(details.join("\n"))}`,
+    "TRANSP:TRANSPARENT",
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${text(`Follow up with ${lead.name || "lead"}`)}`,
+    "TRIGGER:PT9H",
+    "END:VALARM",
+    "END:VEVENT",
+  ];
+}
+
+/** A complete calendar file for the given leads (those without a date are skipped). */
+export function toICS(leads, now = Date.now()) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//UMM//Mortgage CRM//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...leads.flatMap((l) => followUpEvent(l, now) || []),
+    "END:VCALENDAR",
+  ];
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,64 @@
+// lib/intake.js
+/** ------------------------------
+ *  The public "Get pre-qualified" form. Shared by the page and
+ *  /api/intake so both reject the same input with the same words.
+ *  ------------------------------ */
+import { LOAN_TYPES } from "./leadSchema";
+import { validateLead } from "./validation";
+import { createActivity } from "./activity";
+
+/** Bots fill every input; people never see this one. */
+export const HONEYPOT_FIELD = "website";
+
+export const INTAKE_FIELDS = {
+  name: "",
+  email: "",
+  phone: "",
+  loanType: "Conventional",
+  loanAmount: "",
+  propertyAddress: "",
+  message: "",
+  consent: false,
+  [HONEYPOT_FIELD]: "",
+};
+
+const MAX_LENGTH = { name: 100, email: 200, phone: 40, propertyAddress: 200, message: 2000 };
+
+const text = (v) => (typeof v === "string" ? v.trim() : "");
+
+/** Fields that must arrive as text; loanAmount may also be a number. */
+const TEXT_FIELDS = ["name", "email", "phone", "loanType", "propertyAddress", "message"];
+
+/** { field: message } for anything a borrower needs to fix; {} when it can be sent. */
+export function validateIntake(input) {
+  const form = { ...INTAKE_FIELDS, ...input };
+  const wrongType = TEXT_FIELDS.filter((k) => typeof form[k] !== "string");
+  if (!["string", "number"].includes(typeof form.loanAmount)) wrongType.push("loanAmount");
+  if (typeof form.consent !== "boolean") wrongType.push("consent");
+  // anything else would be stored as something other than what was checked
+  if (wrongType.length) return Object.fromEntries(wrongType.map((k) => [k, "This field has an invalid value."]));
+
+  const errors = validateLead({ ...form, status: "New" });
+  if (!text(form.email) && !text(form.phone)) errors.phone = "Leave a phone number or an email so we can reach you.";
+  if (!LOAN_TYPES.includes(form.loanType)) errors.loanType = "Choose a loan type.";
+  Object.entries(MAX_LENGTH).forEach(([k, max]) => {
+    if (String(form[k] ?? "").length > max) errors[k] = `Keep this under ${max} characters.`;
+  });
+  return errors;
+}
+
+/** Lead fields for a validated submission; the caller adds id and timestamps. */
+export function intakeToLead(input, now = Date.now()) {
+  return {
+    name: text(input.name),
+    email: text(input.email),
+    phone: text(input.phone),
+    loanType: input.loanType,
+    loanAmount: text(String(input.loanAmount ?? "")),
+    propertyAddress: text(input.propertyAddress),
+    activities: text(input.message) ? [createActivity({ at: now, type: "note", text: text(input.message) })] : [],
+    source: "Direct Web",
+    status: "New",
+    consentAt: input.consent === true ? now : null,
+  };
+}
@@ -0,0 +1,127 @@
+// lib/jsonImport.js
+/** ------------------------------
+ *  Dry run + apply for JSON lead files.
+ *  analyzeImport never touches the pipeline; applyImport returns the
+ *  next list and a report of what happened to every row.
+ *  ------------------------------ */
+import { LOAN_TYPES, SOURCES, STATUSES, importedFields, migrateLead, upsertById } from "./leadSchema";
+import { activeLeads, trashLeads } from "./trash";
+import { findDuplicates } from "./duplicates";
+import { holdClearToClose } from "./checklist";
+
+export const IMPORT_MODES = {
+  merge: "Merge: add new leads, update matching ids",
+  addOnly: "Add only: skip ids that already exist",
+  replace: "Replace: the file becomes the whole pipeline (other leads go to the trash)",
+};
+
+/** Values the schema would silently coerce are reported instead: { field: problem }. */
+function validate(raw) {
+  const problems = {};
+  if (raw.status !== undefined && !STATUSES.includes(raw.status)) {
+    problems.status = `unknown status "${raw.status}"`;
+  }
+  if (raw.source && !SOURCES.includes(raw.source)) {
+    problems.source = `unknown source "${raw.source}"`;
+  }
+  if (raw.loanType !== undefined && !LOAN_TYPES.includes(raw.loanType)) {
+    problems.loanType = `unknown loan type "${raw.loanType}"`;
+  }
+  if (raw.loanAmount !== undefined && raw.loanAmount !== "" && !Number.isFinite(Number(raw.loanAmount))) {
+    problems.loanAmount = `loan amount "${raw.loanAmount}" is not a number`;
+  }
+  return problems;
+}
+
+/**
+ * Classify every row of a parsed file against the current pipeline.
+ * kind: "add" | "update" | "conflict" | "invalid"
+ * A conflict is a matching id whose local copy is newer than the file's.
+ * New rows also list the names of existing leads they probably duplicate.
+ * `lead` is the migrated row; `fields` only the valid values the file
+ * supplied, so a flagged value never overwrites a stored one.
+ */
+export function analyzeImport(existing, data) {
+  if (!Array.isArray(data)) throw new Error("Expected a JSON array of leads");
+  const byId = new Map(existing.map((l) => [l.id, l]));
+  const seen = new Set();
+  return data.map((raw, i) => {
+    const row = i + 1;
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      return { row, kind: "invalid", name: "", problems: ["not a lead object"] };
+    }
+    const lead = migrateLead(raw);
+    const invalid = validate(raw);
+    const problems = Object.values(invalid);
+    if (!lead.name) return { row, kind: "invalid", name: "", problems: ["missing name", ...problems] };
+    if (raw.id && seen.has(raw.id)) {
+      return { row, kind: "invalid", name: lead.name, problems: [`duplicate id ${raw.id} in file`] };
+    }
+    if (raw.id) seen.add(raw.id);
+    const current = raw.id ? byId.get(raw.id) : null;
+    let kind = "add";
+    if (current) kind = (Number(raw.updatedAt) || 0) < current.updatedAt ? "conflict" : "update";
+    const duplicates = current ? [] : findDuplicates(lead, existing).map((m) => m.lead.name);
+    const supplied = Object.fromEntries(Object.entries(raw).filter(([k]) => !invalid[k]));
+    const fields = importedFields(supplied, migrateLead(supplied));
+    return { row, kind, name: lead.name, lead, fields, current, problems, duplicates };
+  });
+}
+
+export function summarize(rows) {
+  const count = (pred) => rows.filter(pred).length;
+  return {
+    add: count((r) => r.kind === "add"),
+    update: count((r) => r.kind === "update"),
+    conflict: count((r) => r.kind === "conflict"),
+    invalid: count((r) => r.kind === "invalid"),
+    flagged: count((r) => r.kind !== "invalid" && r.problems.length > 0),
+    duplicate: count((r) => r.duplicates?.length > 0),
+  };
+}
+
+/**
+ * options.mode: key of IMPORT_MODES
+ * options.overwriteConflicts: take the file's copy when the local one is newer
+ * options.skipFlagged: reject rows with invalid status/source/loanType
+ * instead of importing them without those values
+ * options.skipDuplicates: leave out new rows that match an existing lead
+ * options.checklists: templates for the Clear to Close gate; rows that
+ * fail it keep their stage and are listed in report.held
+ */
+export function applyImport(
+  existing,
+  rows,
+  { mode = "merge", overwriteConflicts = false, skipFlagged = false, skipDuplicates = false, checklists } = {}
+) {
+  const now = Date.now();
+  const skipped = [];
+  const accepted = [];
+  rows.forEach((r) => {
+    if (r.kind === "invalid") return skipped.push({ row: r.row, name: r.name, reason: r.problems.join(", ") });
+    if (skipFlagged && r.problems.length) return skipped.push({ row: r.row, name: r.name, reason: r.problems.join(", ") });
+    if (skipDuplicates && r.duplicates?.length) {
+      return skipped.push({ row: r.row, name: r.name, reason: `likely duplicate of ${r.duplicates.join(", ")}` });
+    }
+    if (mode === "addOnly" && r.current) return skipped.push({ row: r.row, name: r.name, reason: "id already exists" });
+    if (mode === "merge" && r.kind === "conflict" && !overwriteConflicts) {
+      return skipped.push({ row: r.row, name: r.name, reason: "local copy is newer" });
+    }
+    accepted.push(r);
+  });
+  if (mode === "replace") {
+    const { records, held } = holdClearToClose(accepted.map((r) => r.lead), existing, checklists);
+    const incoming = records.map((l) => ({ ...l, updatedAt: now }));
+    const ids = new Set(incoming.map((l) => l.id));
+    const rest = existing.filter((l) => !ids.has(l.id));
+    const removed = activeLeads(rest).length;
+    const leads = [...incoming, ...trashLeads(rest, rest.map((l) => l.id), now)];
+    return { leads, report: { added: incoming.length, updated: 0, removed, skipped, held } };
+  }
+
+  // merged like the other importers: only the fields the file supplied reach an existing lead
+  const { records, held } = holdClearToClose(accepted.map((r) => r.fields), existing, checklists);
+  const updated = accepted.filter((r) => r.current).length;
+  const leads = upsertById(existing, records);
+  return { leads, report: { added: accepted.length - updated, updated, removed: 0, skipped, held } };
+}
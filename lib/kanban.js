@@ -0,0 +1,26 @@
+// lib/kanban.js
+/** ------------------------------
+ *  Manual card order within a Kanban column.
+ *  kanbanOrder is a float rank; a dropped card takes the midpoint of its
+ *  new neighbours so only the moved lead changes. Cards never placed by
+ *  hand rank by -createdAt, i.e. newest first.
+ *  ------------------------------ */
+export function rankOf(lead) {
+  return lead.kanbanOrder ?? -(lead.createdAt || 0);
+}
+
+export function byRank(a, b) {
+  return rankOf(a) - rankOf(b);
+}
+
+/** Rank for a card dropped between prev and next (either may be missing). */
+export function rankBetween(prev, next) {
+  if (!prev && !next) return 0;
+  if (!prev) return rankOf(next) - 1;
+  if (!next) return rankOf(prev) + 1;
+  return (rankOf(prev) + rankOf(next)) / 2;
+}
+
+export function laneVolume(leads) {
+  return leads.reduce((t, l) => t + (Number(l.loanAmount) || 0), 0);
+}
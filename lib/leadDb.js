@@ -0,0 +1,162 @@
+// lib/leadDb.js
+/** ------------------------------
+ *  Browser storage for leads. IndexedDB when the browser has it, with
+ *  localStorage as the fallback; either way a failed write rejects
+ *  instead of being swallowed, and the failed leads are retried with the
+ *  next save.
+ *
+ *  Adapter: { kind, load() → Promise<leads>, save(prevById, next) → Promise }
+ *  ------------------------------ */
+import { STORAGE_KEY, migrateLeads } from "./leadSchema";
+
+const DB_NAME = "umm";
+const DB_VERSION = 1;
+const STORE = "leads";
+
+/** Indexes kept on the lead store, name → key path. */
+export const LEAD_INDEXES = { status: "status", nextFollowUp: "nextFollowUp", source: "source" };
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+  });
+
+function openDb() {
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    const store = db.objectStoreNames.contains(STORE)
+      ? req.transaction.objectStore(STORE)
+      : db.createObjectStore(STORE, { keyPath: "id" });
+    Object.entries(LEAD_INDEXES).forEach(([name, path]) => {
+      if (!store.indexNames.contains(name)) store.createIndex(name, path);
+    });
+  };
+  return promisify(req);
+}
+
+/** The list kept in localStorage (the pre-IndexedDB copy, or the fallback's); [] when unreadable. */
+export function readLocalStorage() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? migrateLeads(JSON.parse(raw)) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Unsaved ids collect here until a write succeeds, so one failed save
+ * does not leave a lead stale on disk after the next, smaller, one.
+ */
+function createPending() {
+  const dirty = new Map(); // id → lead | null (null = delete)
+  return {
+    add(prevById, next) {
+      const seen = new Set();
+      next.forEach((l) => {
+        seen.add(l.id);
+        if (prevById.get(l.id) !== l) dirty.set(l.id, l);
+      });
+      prevById.forEach((_, id) => {
+        if (!seen.has(id)) dirty.set(id, null);
+      });
+      // a lead edited again before the retry must be written in its newest form
+      const current = new Map(next.map((l) => [l.id, l]));
+      dirty.forEach((_, id) => dirty.set(id, current.get(id) || null));
+    },
+    take: () => new Map(dirty),
+    clear(written) {
+      written.forEach((lead, id) => {
+        if (dirty.get(id) === lead) dirty.delete(id);
+      });
+    },
+  };
+}
+
+function indexedDbAdapter() {
+  const pending = createPending();
+  let dbp = null;
+  const db = () => (dbp = dbp || openDb());
+
+  return {
+    kind: "indexeddb",
+    /** Reads every lead; the first time, moves the old localStorage list in. */
+    async load() {
+      const conn = await db();
+      const leads = migrateLeads(await promisify(conn.transaction(STORE).objectStore(STORE).getAll()));
+      if (leads.length) return leads;
+      const legacy = readLocalStorage();
+      if (!legacy.length) return leads;
+      const tx = conn.transaction(STORE, "readwrite");
+      legacy.forEach((l) => tx.objectStore(STORE).put(l));
+      await done(tx);
+      localStorage.removeItem(STORAGE_KEY);
+      return legacy;
+    },
+    async save(prevById, next) {
+      pending.add(prevById, next);
+      const batch = pending.take();
+      if (!batch.size) return;
+      const tx = (await db()).transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      batch.forEach((lead, id) => (lead ? store.put(lead) : store.delete(id)));
+      await done(tx);
+      pending.clear(batch);
+    },
+  };
+}
+
+function localStorageAdapter() {
+  return {
+    kind: "localstorage",
+    load: async () => readLocalStorage(),
+    async save(_prevById, next) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    },
+  };
+}
+
+/**
+ * IndexedDB, dropping to localStorage if the database cannot be opened
+ * (e.g. some private windows). load still rejects in that case, since the
+ * leads saved in IndexedDB were not read; later saves go to localStorage.
+ */
+export function createLeadStorage() {
+  let inner = typeof indexedDB !== "undefined" ? indexedDbAdapter() : localStorageAdapter();
+  return {
+    get kind() {
+      return inner.kind;
+    },
+    async load() {
+      try {
+        return await inner.load();
+      } catch (err) {
+        if (inner.kind === "indexeddb") inner = localStorageAdapter();
+        throw err;
+      }
+    },
+    save: (prevById, next) => inner.save(prevById, next),
+  };
+}
+
+/** What to tell the user when the saved leads cannot be read. */
+export function loadErrorMessage(err) {
+  return `The leads saved in this browser could not be read (${err?.message || err?.name || "unknown error"}). Only what the server or an older local copy has is shown; reload to try again.`;
+}
+
+/** What to tell the user when a save fails. */
+export function storageErrorMessage(err) {
+  const name = err?.name || "";
+  if (name === "QuotaExceededError" || /quota/i.test(err?.message || "")) {
+    return "Browser storage is full, so recent changes are not saved on this device. Export a backup, empty the trash, or free up space, then retry.";
+  }
+  return `Saving leads on this device failed (${err?.message || name || "unknown error"}). Recent changes may be lost if you close the tab.`;
+}
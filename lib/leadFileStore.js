@@ -0,0 +1,93 @@
+// lib/leadFileStore.js
+// Server-only: imported by pages/api/leads/*. Keeps every lead in one JSON file.
+import { promises as fs } from "fs";
+import path from "path";
+import { migrateLead } from "./leadSchema";
+
+const DATA_FILE =
+  process.env.UMM_LEADS_FILE || path.join(process.cwd(), "data", "leads.json");
+
+/** Writes are serialized so two requests never interleave read-modify-write. */
+let queue = Promise.resolve();
+function exclusive(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function readAll() {
+  try {
+    const raw = await fs.readFile(DATA_FILE, "utf8");
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data.map(migrateLead) : [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeAll(leads) {
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = `${DATA_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(leads, null, 2));
+  await fs.rename(tmp, DATA_FILE);
+}
+
+/**
+ * `baseUpdatedAt` is the version the client last saw (null for a lead it
+ * believes is new). When it no longer matches what is stored, another
+ * device got there first and the caller receives `{ conflict: current }`.
+ * Omitting it skips the check.
+ */
+function isStale(current, baseUpdatedAt) {
+  if (baseUpdatedAt === undefined) return false;
+  return (current ? current.updatedAt : null) !== baseUpdatedAt;
+}
+
+export function listLeads() {
+  return readAll();
+}
+
+export async function getLead(id) {
+  const leads = await readAll();
+  return leads.find((l) => l.id === id) || null;
+}
+
+export function upsertLead(input, baseUpdatedAt) {
+  return exclusive(async () => {
+    const leads = await readAll();
+    const lead = migrateLead(input);
+    const idx = leads.findIndex((l) => l.id === lead.id);
+    const current = idx === -1 ? null : leads[idx];
+    if (isStale(current, baseUpdatedAt)) return { conflict: current };
+    if (idx === -1) leads.unshift(lead);
+    else leads[idx] = lead;
+    await writeAll(leads);
+    return { lead };
+  });
+}
+
+export function removeLead(id, baseUpdatedAt) {
+  return exclusive(async () => {
+    const leads = await readAll();
+    const current = leads.find((l) => l.id === id) || null;
+    if (!current) return { lead: null };
+    if (isStale(current, baseUpdatedAt)) return { conflict: current };
+    await writeAll(leads.filter((l) => l.id !== id));
+    return { lead: current };
+  });
+}
+
+/** Bulk upload: new ids are added, existing ids keep whichever copy is newer. */
+export function mergeLeads(incoming) {
+  return exclusive(async () => {
+    const map = new Map((await readAll()).map((l) => [l.id, l]));
+    incoming.map(migrateLead).forEach((lead) => {
+      const current = map.get(lead.id);
+      if (!current || lead.updatedAt > current.updatedAt) map.set(lead.id, lead);
+    });
+    const leads = Array.from(map.values());
+    await writeAll(leads);
+    return leads;
+  });
+}
@@ -0,0 +1,357 @@
+// lib/leadSchema.js
+/** ------------------------------
+ *  Canonical lead model shared by every page.
+ *  Records carry a schemaVersion; anything older is upgraded
+ *  through MIGRATIONS before a page ever sees it.
+ *  ------------------------------ */
+import { reconcileHistory } from "./statusHistory";
+import { normalizeEmail, normalizePhone } from "./contact";
+import { MAX_SCENARIOS } from "./scenarios";
+import { createActivity, mergeActivities } from "./activity";
+import { createItem } from "./checklist";
+
+export const STORAGE_KEY = "umm_leads_v2";
+
+export const SCHEMA_VERSION = 4;
+
+export const STATUSES = [
+  "New",
+  "Pre-Approved",
+  "In Process",
+  "Conditional",
+  "Clear to Close",
+  "Won",
+  "Lost",
+];
+
+export const SOURCES = [
+  "Realtor",
+  "Referral",
+  "Direct Web",
+  "Past Client",
+  "Walk-in",
+  "Other",
+];
+
+export const LOAN_TYPES = ["Conventional", "FHA", "VA", "Jumbo", "USDA", "HELOC"];
+
+export const LOST_REASONS = [
+  "Went with another lender",
+  "Rate / fees",
+  "Did not qualify",
+  "Stopped responding",
+  "Deal fell through",
+  "Other",
+];
+
+/** Prior-use category for the VA funding fee. */
+export const VA_USE = {
+  first: "First use",
+  subsequent: "Subsequent use",
+  exempt: "Exempt (service-connected disability)",
+};
+
+/** Self-reported credit score bands; min/max bound the FICO range of each. */
+export const CREDIT_TIERS = {
+  excellent: { label: "Excellent (760+)", min: 760, max: 850 },
+  good: { label: "Good (700–759)", min: 700, max: 759 },
+  fair: { label: "Fair (640–699)", min: 640, max: 699 },
+  limited: { label: "Limited (580–639)", min: 580, max: 639 },
+  poor: { label: "Below 580", min: 300, max: 579 },
+};
+
+/** A blank lead with every canonical field present. */
+export function createLead(fields = {}) {
+  const now = Date.now();
+  return normalizeLead({
+    id: crypto.randomUUID(),
+    createdAt: now,
+    updatedAt: now,
+    name: "",
+    phone: "",
+    email: "",
+    source: "Realtor",
+    agent: "", // partner's display name; partnerId links the record in lib/partners
+    partnerId: "",
+    loanType: "Conventional",
+    loanAmount: "",
+    // payment inputs; blanks fall back to PAYMENT_DEFAULTS in lib/mortgage
+    interestRate: "",
+    termYears: 30,
+    purchasePrice: "",
+    propertyTax: "", // annual
+    homeInsurance: "", // annual
+    hoaDues: "", // monthly
+    vaUse: "first",
+    // borrower financials for pre-qualification, see lib/prequal
+    monthlyIncome: "", // gross
+    monthlyDebts: "", // minimum payments, excluding the new housing payment
+    creditTier: "", // key of CREDIT_TIERS
+    downPayment: "",
+    scenarios: [], // named what-if loans to compare, see lib/scenarios
+    existingLoan: null, // { rate, balance, remainingMonths } of a past client's mortgage, see lib/refi
+    activities: [], // timestamped calls, texts, emails, meetings and notes, see lib/activity
+    checklist: [], // documents and underwriting conditions, see lib/checklist
+    propertyAddress: "",
+    status: "New",
+    statusHistory: [], // [{ status, at }], see lib/statusHistory
+    tags: [],
+    nextFollowUp: "", // yyyy-mm-dd
+    lastFollowUp: "", // yyyy-mm-dd of the last completed follow-up
+    followUpPlan: null, // cadence, see lib/followUps
+    consentAt: null, // ms; when the borrower agreed to be contacted (public intake form)
+    closeDate: "", // yyyy-mm-dd when Won
+    lostReason: "", // when Lost
+    kanbanOrder: null, // manual position within a Kanban column, see lib/kanban
+    deletedAt: null, // set while the lead sits in the trash, see lib/trash
+    ...fields,
+  });
+}
+
+/**
+ * Step N upgrades a record from schemaVersion N to N + 1.
+ * Records written before versioning existed count as version 0.
+ */
+const MIGRATIONS = [
+  // 0 → 1: fold the Lead Manager shape (contact, tags) into the CRM shape.
+  (l) => {
+    const { contact, ...rest } = l;
+    const next = { ...rest };
+    if (contact && !l.phone && !l.email) {
+      const split = splitContact(contact);
+      next.phone = split.phone;
+      next.email = split.email;
+      if (split.rest) {
+        next.notes = [l.notes, `Contact: ${split.rest}`].filter(Boolean).join("\n");
+      }
+    }
+    next.tags = parseTags(l.tags);
+    return next;
+  },
+  // 1 → 2: payment inputs for the calculator; existing leads get a 30-year term.
+  (l) => ({ termYears: 30, ...l }),
+  // 2 → 3: start a status history. Real transition times are unknown, so a
+  // lead past New is dated from its last edit.
+  (l) => ({
+    ...l,
+    statusHistory:
+      l.status && l.status !== "New"
+        ? [{ status: l.status, at: l.updatedAt || l.createdAt, inferred: true }]
+        : [{ status: "New", at: l.createdAt }],
+  }),
+  // 3 → 4: the notes text and template sends become entries on the activity log.
+  (l) => {
+    const { notes, messages, ...rest } = l;
+    const at = l.updatedAt || l.createdAt;
+    const sent = (Array.isArray(messages) ? messages : []).map((m) =>
+      createActivity({ at: m.at, type: m.channel === "sms" ? "text" : "email", outcome: "Sent", text: m.templateName, templateId: m.templateId })
+    );
+    const note = String(notes || "").trim() ? [createActivity({ at, type: "note", text: notes })] : [];
+    return { ...rest, activities: [...(l.activities || []), ...note, ...sent] };
+  },
+];
+
+/** Upgrade any stored or imported record to the current schema. */
+export function migrateLead(raw) {
+  let lead = raw && typeof raw === "object" ? { ...raw } : {};
+  let version = Number(lead.schemaVersion) || 0;
+  while (version < SCHEMA_VERSION) {
+    lead = MIGRATIONS[version](lead);
+    version += 1;
+  }
+  return normalizeLead(lead);
+}
+
+export function migrateLeads(list) {
+  return Array.isArray(list) ? list.map(migrateLead) : [];
+}
+
+/**
+ * Coerce field types on a current-version record. Unknown fields are kept
+ * so data written by a newer page survives a round trip through an older one.
+ */
+export function normalizeLead(l) {
+  const lead = {
+    ...l,
+    schemaVersion: SCHEMA_VERSION,
+    id: l.id || crypto.randomUUID(),
+    createdAt: Number(l.createdAt) || Date.now(),
+    updatedAt: Number(l.updatedAt) || Date.now(),
+    name: String(l.name || "").trim(),
+    phone: normalizePhone(l.phone),
+    email: normalizeEmail(l.email),
+    source: String(l.source || "").trim(),
+    agent: String(l.agent || "").trim(),
+    partnerId: String(l.partnerId || ""),
+    loanType: LOAN_TYPES.includes(l.loanType) ? l.loanType : "Conventional",
+    loanAmount: toAmount(l.loanAmount),
+    interestRate: toAmount(l.interestRate),
+    termYears: toAmount(l.termYears),
+    purchasePrice: toAmount(l.purchasePrice),
+    propertyTax: toAmount(l.propertyTax),
+    homeInsurance: toAmount(l.homeInsurance),
+    hoaDues: toAmount(l.hoaDues),
+    vaUse: VA_USE[l.vaUse] ? l.vaUse : "first",
+    monthlyIncome: toAmount(l.monthlyIncome),
+    monthlyDebts: toAmount(l.monthlyDebts),
+    creditTier: CREDIT_TIERS[l.creditTier] ? l.creditTier : "",
+    downPayment: toAmount(l.downPayment),
+    scenarios: toScenarios(l.scenarios),
+    existingLoan: toExistingLoan(l.existingLoan),
+    activities: toActivities(l.activities),
+    checklist: toChecklist(l.checklist),
+    propertyAddress: String(l.propertyAddress || "").trim(),
+    status: STATUSES.includes(l.status) ? l.status : "New",
+    tags: parseTags(l.tags),
+    nextFollowUp: toDateOnly(l.nextFollowUp),
+    lastFollowUp: toDateOnly(l.lastFollowUp),
+    followUpPlan: toPlan(l.followUpPlan),
+    closeDate: toDateOnly(l.closeDate),
+    lostReason: String(l.lostReason || ""),
+    kanbanOrder: l.kanbanOrder === null || l.kanbanOrder === "" || !Number.isFinite(Number(l.kanbanOrder))
+      ? null
+      : Number(l.kanbanOrder),
+    deletedAt: Number(l.deletedAt) || null,
+    consentAt: Number(l.consentAt) || null,
+  };
+  lead.statusHistory = reconcileHistory(lead);
+  return lead;
+}
+
+/** Raw import keys that end up in other lead fields once migrated. */
+const DERIVED_FIELDS = {
+  contact: ["phone", "email", "activities"],
+  notes: ["activities"],
+  messages: ["activities"],
+};
+
+/**
+ * The part of a migrated lead that an import actually supplied: the
+ * fields named in `raw` and those derived from them, plus id and version.
+ * Defaults the schema filled in are left out so a merge cannot apply them.
+ */
+export function importedFields(raw, lead = migrateLead(raw)) {
+  const keys = new Set(["id", "schemaVersion"]);
+  Object.keys(raw).forEach((k) => (DERIVED_FIELDS[k] || [k]).forEach((f) => keys.add(f)));
+  return Object.fromEntries(Object.entries(lead).filter(([k]) => keys.has(k)));
+}
+
+/**
+ * Merge imported records (see importedFields) into a list. Matching ids
+ * take the incoming non-blank fields, so an import never blanks out what
+ * is already known, and add their activity to the existing log; everything
+ * else is prepended as a new lead.
+ */
+export function upsertById(prev, incoming) {
+  const now = Date.now();
+  const map = new Map(prev.map((l) => [l.id, l]));
+  const added = [];
+  incoming.forEach((fields) => {
+    const current = map.get(fields.id);
+    if (!current) {
+      added.push({ ...migrateLead(fields), updatedAt: now });
+      return;
+    }
+    const filled = Object.entries(fields).filter(
+      ([k, v]) =>
+        !["id", "createdAt", "schemaVersion"].includes(k) && v !== "" && v !== null && !(Array.isArray(v) && !v.length)
+    );
+    map.set(
+      current.id,
+      normalizeLead({
+        ...current,
+        ...Object.fromEntries(filled),
+        activities: mergeActivities([current.activities || [], fields.activities || []]),
+        updatedAt: now,
+      })
+    );
+  });
+  return [...added, ...map.values()];
+}
+
+/** "555-123-4567 / jo@example.com" → { phone, email, rest } */
+export function splitContact(contact) {
+  let rest = String(contact || "").trim();
+  const emailMatch = rest.match(/[^\s,;/|<>]+@[^\s,;/|<>]+\.[^\s,;/|<>]+/);
+  const email = emailMatch ? emailMatch[0] : "";
+  if (email) rest = rest.replace(email, "");
+  rest = rest.replace(/^[\s,;/|-]+|[\s,;/|-]+$/g, "");
+  const digits = rest.replace(/\D/g, "");
+  const phone = digits.length >= 7 ? rest : "";
+  return { phone, email, rest: phone ? "" : rest };
+}
+
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(/[,|]/);
+  return list.map((t) => String(t).trim()).filter(Boolean);
+}
+
+function toAmount(v) {
+  if (v === "" || v === null || v === undefined) return "";
+  const n = Number(String(v).replace(/[$,\s]/g, ""));
+  return Number.isFinite(n) ? n : "";
+}
+
+function toDateOnly(v) {
+  return v ? String(v).slice(0, 10) : "";
+}
+
+function toExistingLoan(v) {
+  if (!v || typeof v !== "object") return null;
+  const loan = { rate: toAmount(v.rate), balance: toAmount(v.balance), remainingMonths: toAmount(v.remainingMonths) };
+  return Object.values(loan).every((x) => x === "") ? null : loan;
+}
+
+function toActivities(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((a) => a && typeof a === "object")
+    .map(createActivity)
+    .sort((a, b) => a.at - b.at);
+}
+
+function toChecklist(list) {
+  if (!Array.isArray(list)) return [];
+  return list.filter((i) => i && typeof i === "object" && String(i.label || "").trim()).map(createItem);
+}
+
+function toScenarios(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((s) => s && typeof s === "object")
+    .slice(0, MAX_SCENARIOS)
+    .map((s) => ({
+      id: s.id || crypto.randomUUID(),
+      name: String(s.name || "").trim(),
+      loanType: LOAN_TYPES.includes(s.loanType) ? s.loanType : "Conventional",
+      rate: toAmount(s.rate),
+      points: toAmount(s.points) || 0,
+      termYears: toAmount(s.termYears) || 30,
+      downPayment: toAmount(s.downPayment),
+    }));
+}
+
+/**
+ * Follow-up cadences:
+ *   { type: "interval", everyDays, untilStatus }  repeat until the lead reaches untilStatus
+ *   { type: "stage", days: { [status]: n } }      the gap depends on the current stage
+ */
+function toPlan(p) {
+  if (!p || typeof p !== "object") return null;
+  const days = (v) => Math.max(1, Math.round(Number(v)) || 1);
+  if (p.type === "interval") {
+    return {
+      type: "interval",
+      everyDays: days(p.everyDays),
+      untilStatus: STATUSES.includes(p.untilStatus) ? p.untilStatus : "Won",
+    };
+  }
+  if (p.type === "stage") {
+    const out = {};
+    Object.entries(p.days || {}).forEach(([status, n]) => {
+      if (STATUSES.includes(status) && Number(n) > 0) out[status] = days(n);
+    });
+    return { type: "stage", days: out };
+  }
+  return null;
+}
@@ -0,0 +1,156 @@
+// lib/leadStore.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createLeadSync, signIn } from "./leadSync";
+import { createLeadStorage, loadErrorMessage, readLocalStorage, storageErrorMessage } from "./leadDb";
+import { loadSettings } from "./settings";
+import { purgeExpired } from "./trash";
+import { applyChanges, createTabSync, diffLeads } from "./tabSync";
+
+export const SYNC_LABELS = {
+  local: "Local only",
+  syncing: "Syncing…",
+  synced: "Synced",
+  offline: "Offline: changes kept in this browser",
+  signedOut: "Sign in to sync",
+};
+
+const byId = (list) => new Map(list.map((l) => [l.id, l]));
+
+/** Banner text for a conflict reported by the server sync or by another tab. */
+export function conflictMessage(c) {
+  if (c.kept === "other tab") return `${c.name} was also edited in another tab; that tab's newer edit was kept.`;
+  if (c.kept === "this tab") return `${c.name} was also edited in another tab; this tab's newer edit was kept.`;
+  return `${c.name} was changed on another device${c.kept === "deleted" ? " and deleted there" : ""}; your edit was not saved and the server copy is shown.`;
+}
+
+/**
+ * Shared lead state for the pages. Browser storage (lib/leadDb) is the
+ * offline cache; /api/leads is the source of truth once it answers.
+ * Nothing is written until the first load has run; right after it,
+ * leads past the trash retention period are purged. Every change is
+ * also broadcast to the other open tabs, which merge it per lead. If
+ * the load fails, loadError says so (and storageError shows it) and the
+ * list holds only the localStorage copy and what the server sends.
+ *
+ * Returns [leads, setLeads, sync] where sync is
+ * { status, conflicts, dismissConflicts, retry, storageError, loadError, retrySave }.
+ */
+export function useLeads() {
+  const [leads, setLeads] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [status, setStatus] = useState("local");
+  const [conflicts, setConflicts] = useState([]);
+  const [storageError, setStorageError] = useState("");
+  const [loadError, setLoadError] = useState(""); // stays up until a save is retried
+
+  const current = useRef(leads);
+  const shadow = useRef(new Map()); // last list the syncer and the other tabs have seen
+  const syncer = useRef(null);
+  const tabs = useRef(null);
+  const storage = useRef(null);
+  const saved = useRef(new Map()); // list as last handed to storage
+  current.current = leads;
+
+  useEffect(() => {
+    let cancelled = false;
+    storage.current = createLeadStorage();
+
+    /** Replace the list without it counting as a local edit (no push, no re-broadcast). */
+    const replace = (next) => {
+      const changes = diffLeads(byId(current.current), next);
+      shadow.current = byId(next);
+      current.current = next;
+      setLeads(next);
+      return changes;
+    };
+
+    tabs.current = createTabSync((changes) => {
+      const { leads: next, conflicts: clashes } = applyChanges(current.current, changes);
+      if (next !== current.current) replace(next);
+      if (!clashes.length) return;
+      setConflicts((prev) => [...prev, ...clashes]);
+      // send back the copies this tab kept so the other tab ends up with the same winner
+      const kept = byId(next);
+      tabs.current.post(
+        clashes.filter((c) => c.kept === "this tab").map((c) => ({ id: c.id, lead: kept.get(c.id), base: null }))
+      );
+    });
+
+    syncer.current = createLeadSync({
+      getLeads: () => current.current,
+      // server copies pulled in here are passed on so other tabs don't keep stale ones
+      apply: (fn) => tabs.current?.post(replace(fn(current.current))),
+      onStatus: setStatus,
+      onConflict: (c) => setConflicts((prev) => [...prev, c]),
+    });
+
+    const reconnect = () => syncer.current.start();
+    window.addEventListener("online", reconnect);
+
+    storage.current
+      .load()
+      .catch((err) => {
+        setLoadError(loadErrorMessage(err));
+        return readLocalStorage();
+      })
+      .then((local) => {
+        if (cancelled) return;
+        shadow.current = byId(local);
+        saved.current = byId(local);
+        current.current = local;
+        setLeads(local);
+        setLoaded(true);
+        syncer.current.start();
+      });
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener("online", reconnect);
+      tabs.current.close();
+    };
+  }, []);
+
+  useEffect(() => {
+    if (loaded) setLeads((prev) => purgeExpired(prev, loadSettings().trashRetentionDays));
+  }, [loaded]);
+
+  const persist = useCallback((next) => {
+    const prevSaved = saved.current;
+    saved.current = byId(next);
+    return storage.current
+      .save(prevSaved, next)
+      .then(() => setStorageError(""))
+      .catch((err) => setStorageError(storageErrorMessage(err)));
+  }, []);
+
+  useEffect(() => {
+    if (!loaded) return;
+    persist(leads);
+    const prev = shadow.current;
+    shadow.current = byId(leads);
+    tabs.current?.post(diffLeads(prev, leads));
+    syncer.current?.track(prev, leads);
+  }, [loaded, leads]);
+
+  const dismissConflicts = useCallback(() => setConflicts([]), []);
+  /** Sync again; while signed out, ask for the access token first. */
+  const retry = useCallback(async () => {
+    if (status === "signedOut") {
+      const token = prompt("Access token for the server copy (UMM_API_TOKEN)");
+      if (!token) return;
+      const error = await signIn(token);
+      if (error) return alert(error);
+    }
+    syncer.current?.start();
+  }, [status]);
+  const retrySave = useCallback(() => {
+    setLoadError("");
+    return persist(current.current);
+  }, [persist]);
+
+  return [
+    leads,
+    setLeads,
+    { status, conflicts, dismissConflicts, retry, storageError: storageError || loadError, loadError, retrySave },
+  ];
+}
@@ -0,0 +1,169 @@
+// lib/leadSync.js
+/** ------------------------------
+ *  Keeps the browser copy of the pipeline in step with /api/leads.
+ *  Edits are applied locally first (optimistic) and pushed per lead;
+ *  each push carries the updatedAt the server last confirmed so a
+ *  stale write comes back as a 409 instead of clobbering another device.
+ *  The API needs a session (see signIn); until then nothing is sent.
+ *  ------------------------------ */
+const API = "/api/leads";
+const PENDING_KEY = "umm_leads_pending"; // { [id]: baseUpdatedAt | null }
+const UPLOADED_KEY = "umm_leads_uploaded";
+
+async function request(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { "Content-Type": "application/json" } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data.error || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
+  return data;
+}
+
+/** Trade the server's access token for a session cookie; resolves to "" or the error to show. */
+export async function signIn(token) {
+  try {
+    await request("POST", "/api/session", { token });
+    return "";
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/** The sync status for a failed request: signed out, sync switched off, or unreachable. */
+const failedStatus = (err) => ({ 401: "signedOut", 503: "local" })[err?.status] || "offline";
+
+function readPending() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * getLeads() returns the current local list; apply(fn) replaces it without
+ * the change being treated as a local edit. onStatus receives
+ * "syncing" | "synced" | "offline" | "signedOut" | "local";
+ * onConflict receives { id, name, kept }.
+ */
+export function createLeadSync({ getLeads, apply, onStatus, onConflict }) {
+  const bases = new Map(); // id → updatedAt last confirmed by the server
+  const queues = new Map(); // id → promise chain, one request in flight per lead
+  let pending = readPending();
+  let online = false;
+
+  const writePending = () => {
+    try {
+      localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    } catch {}
+  };
+
+  const findLocal = (id) => getLeads().find((l) => l.id === id) || null;
+
+  const resolveConflict = (id, server) => {
+    const local = findLocal(id);
+    if (server) bases.set(id, server.updatedAt);
+    else bases.delete(id);
+    delete pending[id];
+    writePending();
+    apply((prev) => {
+      const rest = prev.filter((l) => l.id !== id);
+      return server ? [server, ...rest] : rest;
+    });
+    onConflict({ id, name: (server || local)?.name || "Untitled lead", kept: server ? "server" : "deleted" });
+  };
+
+  const push = async (id) => {
+    if (!online || !(id in pending)) return;
+    const lead = findLocal(id);
+    const base = pending[id];
+    try {
+      if (lead) {
+        const { lead: saved } = await request("PUT", `${API}/${encodeURIComponent(id)}`, {
+          lead,
+          baseUpdatedAt: base,
+        });
+        bases.set(id, saved.updatedAt);
+        if (findLocal(id)?.updatedAt === saved.updatedAt) delete pending[id];
+        else pending[id] = saved.updatedAt;
+      } else {
+        if (base !== null) {
+          await request("DELETE", `${API}/${encodeURIComponent(id)}?baseUpdatedAt=${base}`);
+        }
+        bases.delete(id);
+        if (!findLocal(id)) delete pending[id];
+      }
+      writePending();
+    } catch (err) {
+      if (err.status === 409) return resolveConflict(id, err.data.lead || null);
+      online = false;
+      onStatus(failedStatus(err));
+    }
+  };
+
+  const schedule = (id) => {
+    const next = (queues.get(id) || Promise.resolve()).then(() => push(id));
+    queues.set(id, next);
+    return next;
+  };
+
+  /** Pull the server copy, upload this browser's leads once, then replay unsent edits. */
+  const start = async () => {
+    onStatus("syncing");
+    try {
+      let server;
+      if (!localStorage.getItem(UPLOADED_KEY)) {
+        ({ leads: server } = await request("POST", `${API}/import`, { leads: getLeads() }));
+        localStorage.setItem(UPLOADED_KEY, String(Date.now()));
+        pending = {};
+        writePending();
+      } else {
+        ({ leads: server } = await request("GET", API));
+      }
+      bases.clear();
+      server.forEach((l) => bases.set(l.id, l.updatedAt));
+
+      const merged = new Map(server.map((l) => [l.id, l]));
+      Object.keys(pending).forEach((id) => {
+        const local = findLocal(id);
+        if (local) merged.set(id, local);
+        else merged.delete(id);
+      });
+      apply(() => Array.from(merged.values()));
+
+      online = true;
+      await Promise.all(Object.keys(pending).map(schedule));
+      if (online) onStatus("synced");
+    } catch (err) {
+      online = false;
+      onStatus(failedStatus(err));
+    }
+  };
+
+  /** Called with the previous and next local lists after every local edit. */
+  const track = (prevById, next) => {
+    const nextById = new Map(next.map((l) => [l.id, l]));
+    const dirty = [];
+    nextById.forEach((l, id) => {
+      if (prevById.get(id) !== l) dirty.push(id);
+    });
+    prevById.forEach((_, id) => {
+      if (!nextById.has(id)) dirty.push(id);
+    });
+    if (!dirty.length) return;
+    dirty.forEach((id) => {
+      if (!(id in pending)) pending[id] = bases.has(id) ? bases.get(id) : null;
+    });
+    writePending();
+    if (online) dirty.forEach(schedule);
+  };
+
+  return { start, track };
+}
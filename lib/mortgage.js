@@ -0,0 +1,158 @@
+// lib/mortgage.js
+/** ------------------------------
+ *  Monthly payment estimate for a lead.
+ *  Rates below are planning figures, not a quote: they follow the
+ *  published FHA/VA/USDA schedules and typical conventional PMI bands.
+ *  ------------------------------ */
+
+/** Used when a lead leaves a field blank. Percentages are annual. */
+export const PAYMENT_DEFAULTS = {
+  interestRate: 6.75,
+  termYears: 30,
+  propertyTaxRate: 1.1, // % of home value
+  insuranceRate: 0.35, // % of home value
+};
+
+export const TERM_OPTIONS = [30, 25, 20, 15, 10];
+
+/** Conventional PMI, annual % of the loan, by LTV ceiling. */
+const PMI_BANDS = [
+  { maxLtv: 85, rate: 0.3 },
+  { maxLtv: 90, rate: 0.5 },
+  { maxLtv: 95, rate: 0.7 },
+  { maxLtv: Infinity, rate: 0.9 },
+];
+
+/** One-unit loan limits: conforming baseline and the FHA high-cost ceiling. */
+export const CONFORMING_LIMIT = 726200;
+export const FHA_CEILING = 1089300;
+
+const FHA_UPFRONT = 1.75;
+const FHA_HIGH_BALANCE = CONFORMING_LIMIT;
+const USDA_UPFRONT = 1.0;
+const USDA_ANNUAL = 0.35;
+
+/** FHA annual MIP (% of loan) by term, balance and LTV. */
+function fhaAnnualMip(baseLoan, ltv, termYears) {
+  if (termYears <= 15) {
+    if (baseLoan > FHA_HIGH_BALANCE) return ltv <= 78 ? 0.15 : ltv <= 90 ? 0.4 : 0.65;
+    return ltv <= 90 ? 0.15 : 0.4;
+  }
+  if (baseLoan > FHA_HIGH_BALANCE) return ltv <= 95 ? 0.7 : 0.75;
+  return ltv <= 95 ? 0.5 : 0.55;
+}
+
+/** VA funding fee (% of loan) by down payment and prior use. */
+function vaFundingFee(downPct, use) {
+  if (use === "exempt") return 0;
+  if (downPct >= 10) return 1.25;
+  if (downPct >= 5) return 1.5;
+  return use === "subsequent" ? 3.3 : 2.15;
+}
+
+/** Standard amortizing payment; a 0% rate just divides the balance. */
+export function monthlyPrincipalAndInterest(principal, annualRatePct, termYears) {
+  const n = Math.round(termYears * 12);
+  if (!principal || !n) return 0;
+  const r = annualRatePct / 100 / 12;
+  if (!r) return principal / n;
+  return (principal * r) / (1 - Math.pow(1 + r, -n));
+}
+
+const num = (v) => {
+  const n = Number(v);
+  return v === "" || v === null || v === undefined || !Number.isFinite(n) ? null : n;
+};
+
+/**
+ * Estimate the full monthly payment for a lead.
+ * Returns null when there is no loan amount to work from.
+ */
+export function estimatePayment(lead) {
+  const baseLoan = num(lead.loanAmount);
+  if (!baseLoan || baseLoan <= 0) return null;
+
+  const notes = [];
+  const loanType = lead.loanType || "Conventional";
+  const rate = num(lead.interestRate) ?? PAYMENT_DEFAULTS.interestRate;
+  const termYears = num(lead.termYears) || PAYMENT_DEFAULTS.termYears;
+  if (num(lead.interestRate) === null) notes.push(`Assumed ${rate}% rate`);
+
+  // Home value drives LTV, taxes and insurance. Without a price, assume the
+  // program's minimum down payment so MI is not understated.
+  let price = num(lead.purchasePrice);
+  if (!price || price < baseLoan) {
+    const assumedLtv = { FHA: 96.5, VA: 100, USDA: 100 }[loanType];
+    price = assumedLtv ? baseLoan / (assumedLtv / 100) : null;
+    if (assumedLtv) notes.push(`Assumed ${100 - assumedLtv}% down`);
+  }
+  const ltv = price ? (baseLoan / price) * 100 : null;
+  const downPct = ltv === null ? null : 100 - ltv;
+  const value = price || baseLoan;
+
+  let upfrontPct = 0;
+  let annualMiPct = 0;
+  switch (loanType) {
+    case "Conventional":
+      if (ltv === null) notes.push("Add a purchase price to estimate PMI");
+      else if (ltv > 80) annualMiPct = PMI_BANDS.find((b) => ltv <= b.maxLtv).rate;
+      break;
+    case "FHA":
+      upfrontPct = FHA_UPFRONT;
+      annualMiPct = fhaAnnualMip(baseLoan, ltv, termYears);
+      break;
+    case "VA":
+      upfrontPct = vaFundingFee(downPct, lead.vaUse || "first");
+      break;
+    case "USDA":
+      upfrontPct = USDA_UPFRONT;
+      annualMiPct = USDA_ANNUAL;
+      break;
+    default:
+      break;
+  }
+
+  const upfrontFee = (baseLoan * upfrontPct) / 100;
+  const totalLoan = baseLoan + upfrontFee; // upfront fees are financed
+  const interestOnly = loanType === "HELOC";
+  if (interestOnly) notes.push("HELOC shown as interest-only on the full draw");
+  const principalAndInterest = interestOnly
+    ? (totalLoan * rate) / 100 / 12
+    : monthlyPrincipalAndInterest(totalLoan, rate, termYears);
+  const mortgageInsurance = (baseLoan * annualMiPct) / 100 / 12;
+
+  const taxAnnual = num(lead.propertyTax);
+  const insuranceAnnual = num(lead.homeInsurance);
+  if (taxAnnual === null) notes.push("Estimated property tax");
+  if (insuranceAnnual === null) notes.push("Estimated insurance");
+  const propertyTax = (taxAnnual ?? (value * PAYMENT_DEFAULTS.propertyTaxRate) / 100) / 12;
+  const insurance = (insuranceAnnual ?? (value * PAYMENT_DEFAULTS.insuranceRate) / 100) / 12;
+  const hoa = num(lead.hoaDues) || 0;
+
+  return {
+    rate,
+    termYears,
+    ltv,
+    baseLoan,
+    upfrontPct,
+    upfrontFee,
+    totalLoan,
+    annualMiPct,
+    principalAndInterest,
+    mortgageInsurance,
+    propertyTax,
+    insurance,
+    hoa,
+    total: principalAndInterest + mortgageInsurance + propertyTax + insurance + hoa,
+    notes,
+  };
+}
+
+/** Labels for the fee line, by loan type. */
+export function feeLabels(loanType) {
+  return {
+    FHA: { upfront: "FHA upfront MIP", monthly: "FHA annual MIP" },
+    VA: { upfront: "VA funding fee", monthly: "" },
+    USDA: { upfront: "USDA guarantee fee", monthly: "USDA annual fee" },
+  }[loanType] || { upfront: "", monthly: "PMI" };
+}
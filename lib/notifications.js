@@ -0,0 +1,132 @@
+// lib/notifications.js
+/** ------------------------------
+ *  Desktop reminders for follow-ups, shown through public/sw.js.
+ *  There is no push server: any open UMM tab checks once a minute, and a
+ *  shared log in localStorage keeps tabs from repeating each other.
+ *  ------------------------------ */
+import { useEffect } from "react";
+import { dayOf, followUpBucket } from "./dates";
+import { activeLeads } from "./trash";
+import { formatPhone } from "./contact";
+
+const LOG_KEY = "umm_notified"; // { summary: day, leads: { [id]: due day } }
+const CHECK_EVERY = 60 * 1000;
+const GROUP_OVER = 3; // more new reminders than this become one notification
+
+export const notificationsSupported = () =>
+  typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+
+export function registerReminderWorker() {
+  return navigator.serviceWorker.register("/sw.js");
+}
+
+/** Ask for permission and register the worker; resolves to the permission. */
+export async function enableNotifications() {
+  if (!notificationsSupported()) return "unsupported";
+  const permission = await Notification.requestPermission();
+  if (permission === "granted") await registerReminderWorker();
+  return permission;
+}
+
+const hhmm = (d) => `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+
+/** Quiet hours may wrap midnight (21:00–08:00). Equal start and end means none. */
+export function inQuietHours(prefs, now = new Date()) {
+  const { quietStart: from, quietEnd: to } = prefs;
+  if (!from || !to || from === to) return false;
+  const t = hhmm(now);
+  return from < to ? t >= from && t < to : t >= from || t < to;
+}
+
+function readLog() {
+  try {
+    const log = JSON.parse(localStorage.getItem(LOG_KEY) || "{}");
+    return { summary: log.summary || "", leads: log.leads || {} };
+  } catch {
+    return { summary: "", leads: {} };
+  }
+}
+
+function writeLog(log) {
+  try {
+    localStorage.setItem(LOG_KEY, JSON.stringify(log));
+  } catch {}
+}
+
+export function summaryText(leads, today) {
+  const counts = { overdue: 0, today: 0, week: 0 };
+  leads.forEach((l) => {
+    const b = followUpBucket(l, today);
+    if (b in counts) counts[b] += 1;
+  });
+  const parts = [
+    counts.overdue && `${counts.overdue} overdue`,
+    counts.today && `${counts.today} due today`,
+    counts.week && `${counts.week} later this week`,
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : "";
+}
+
+/**
+ * What should be shown right now: the daily summary once summaryTime has
+ * passed, and each follow-up due today the first time it is seen. Leads
+ * covered by a summary are marked as notified so they don't pop up twice.
+ * Returns { notes: [{ title, body, tag }], log }.
+ */
+export function pendingReminders(leads, prefs, log, now = new Date()) {
+  const today = dayOf(now);
+  const notes = [];
+  const next = { summary: log.summary, leads: {} };
+  Object.entries(log.leads).forEach(([id, due]) => {
+    if (due >= today) next.leads[id] = due;
+  });
+  if (inQuietHours(prefs, now)) return { notes, log: next };
+
+  const dueToday = leads.filter((l) => followUpBucket(l, today) === "today");
+  if (prefs.summaryTime && hhmm(now) >= prefs.summaryTime && log.summary !== today) {
+    const body = summaryText(leads, today);
+    if (body) notes.push({ title: "Today's follow-ups", body, tag: `umm-summary-${today}` });
+    next.summary = today;
+    dueToday.forEach((l) => (next.leads[l.id] = l.nextFollowUp));
+  }
+
+  const fresh = dueToday.filter((l) => next.leads[l.id] !== l.nextFollowUp);
+  if (fresh.length > GROUP_OVER) {
+    notes.push({
+      title: `${fresh.length} follow-ups due today`,
+      body: fresh.map((l) => l.name).join(", "),
+      tag: `umm-due-${today}`,
+    });
+  } else {
+    fresh.forEach((l) =>
+      notes.push({
+        title: `Follow up with ${l.name || "a lead"}`,
+        body: [l.status, formatPhone(l.phone), l.email].filter(Boolean).join(" · "),
+        tag: `umm-lead-${l.id}-${l.nextFollowUp}`,
+      })
+    );
+  }
+  fresh.forEach((l) => (next.leads[l.id] = l.nextFollowUp));
+  return { notes, log: next };
+}
+
+async function checkReminders(leads, prefs) {
+  const { notes, log } = pendingReminders(leads, prefs, readLog());
+  writeLog(log);
+  if (!notes.length) return;
+  const reg = await navigator.serviceWorker.ready;
+  await Promise.all(notes.map((n) => reg.showNotification(n.title, { body: n.body, tag: n.tag, data: { url: "/agenda" } })));
+}
+
+/** Run the reminder check while a page is open and reminders are switched on. */
+export function useFollowUpReminders(leads, prefs) {
+  useEffect(() => {
+    if (!prefs?.enabled || !notificationsSupported() || Notification.permission !== "granted") return;
+    registerReminderWorker().catch(() => {});
+    const live = activeLeads(leads);
+    const run = () => checkReminders(live, prefs).catch(() => {});
+    run();
+    const timer = setInterval(run, CHECK_EVERY);
+    return () => clearInterval(timer);
+  }, [leads, prefs]);
+}
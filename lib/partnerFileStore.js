@@ -0,0 +1,45 @@
+// lib/partnerFileStore.js
+// Server-only: imported by pages/api/partners. Keeps every partner in one JSON file.
+import { promises as fs } from "fs";
+import path from "path";
+import { mergePartnerLists, normalizePartner } from "./partnerSchema";
+
+const DATA_FILE =
+  process.env.UMM_PARTNERS_FILE || path.join(process.cwd(), "data", "partners.json");
+
+let queue = Promise.resolve();
+function exclusive(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function readAll() {
+  try {
+    const data = JSON.parse(await fs.readFile(DATA_FILE, "utf8"));
+    return Array.isArray(data) ? data.map(normalizePartner) : [];
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+async function writeAll(partners) {
+  await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+  const tmp = `${DATA_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(partners, null, 2));
+  await fs.rename(tmp, DATA_FILE);
+}
+
+export function listPartners() {
+  return readAll();
+}
+
+/** Newer copies win per id; deletions travel as deletedAt so they win too. */
+export function mergePartners(incoming) {
+  return exclusive(async () => {
+    const partners = mergePartnerLists(await readAll(), incoming.map(normalizePartner));
+    await writeAll(partners);
+    return partners;
+  });
+}
@@ -0,0 +1,32 @@
+// lib/partnerSchema.js
+/** ------------------------------
+ *  The shape of a referral partner record. No React here: the browser
+ *  (lib/partners) and the server store (lib/partnerFileStore) share it.
+ *  ------------------------------ */
+import { normalizeEmail, normalizePhone } from "./contact";
+
+export function normalizePartner(p) {
+  const now = Date.now();
+  return {
+    ...p,
+    id: p.id || crypto.randomUUID(),
+    createdAt: Number(p.createdAt) || now,
+    updatedAt: Number(p.updatedAt) || now,
+    name: String(p.name || "").trim(),
+    brokerage: String(p.brokerage || "").trim(),
+    phone: normalizePhone(p.phone),
+    email: normalizeEmail(p.email),
+    notes: String(p.notes || ""),
+    deletedAt: Number(p.deletedAt) || null, // kept as a tombstone so the delete syncs
+  };
+}
+
+/** One list from two copies; the newer edit of each partner wins. */
+export function mergePartnerLists(a, b) {
+  const map = new Map(a.map((p) => [p.id, p]));
+  b.forEach((p) => {
+    const current = map.get(p.id);
+    if (!current || p.updatedAt > current.updatedAt) map.set(p.id, p);
+  });
+  return [...map.values()];
+}
@@ -0,0 +1,187 @@
+// lib/partners.js
+/** ------------------------------
+ *  Referral partners (realtors, builders, planners) as records of
+ *  their own. Leads point at one through partnerId and keep the
+ *  partner's name in `agent`, so search, CSV export and the dashboard
+ *  read the same as before partners existed. The list is cached in
+ *  this browser and shared with other devices through /api/partners.
+ *  ------------------------------ */
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { mergePartnerLists, normalizePartner } from "./partnerSchema";
+import { nameKey, similarity } from "./duplicates";
+import { conversionBy } from "./analytics";
+import { dayOf } from "./dates";
+import { activeLeads } from "./trash";
+
+const PARTNERS_KEY = "umm_partners";
+const API = "/api/partners";
+
+/** Agent spellings at least this close are treated as one partner on import. */
+const NAME_MIN = 0.85;
+
+export function loadPartners() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PARTNERS_KEY) || "[]");
+    return Array.isArray(list) ? list.map(normalizePartner) : [];
+  } catch {
+    return [];
+  }
+}
+
+function savePartners(list) {
+  try {
+    localStorage.setItem(PARTNERS_KEY, JSON.stringify(list));
+  } catch {}
+}
+
+/** Send the whole list (it is small) and get the merged server copy back; null when offline. */
+async function syncPartners(list) {
+  try {
+    const res = await fetch(API, {
+      method: list ? "PUT" : "GET",
+      headers: list ? { "Content-Type": "application/json" } : undefined,
+      body: list ? JSON.stringify({ partners: list }) : undefined,
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    return Array.isArray(data.partners) ? data.partners.map(normalizePartner) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * [partners, setPartners] without deleted ones. Saved to this browser,
+ * picked up by its other tabs and pushed to the server after each change;
+ * the server copy is merged in on load. A partner removed through
+ * setPartners is kept as a tombstone so other devices drop it too.
+ */
+export function usePartners() {
+  const [all, setAll] = useState([]);
+  const current = useRef(all);
+  const apply = useCallback((list) => {
+    current.current = list;
+    savePartners(list);
+    setAll(list);
+  }, []);
+  const pull = useCallback(
+    (server) => server && apply(mergePartnerLists(current.current, server)),
+    [apply]
+  );
+
+  useEffect(() => {
+    current.current = loadPartners();
+    setAll(current.current);
+    syncPartners(current.current).then(pull);
+    const onStorage = (e) => {
+      if (e.key !== PARTNERS_KEY) return;
+      current.current = loadPartners();
+      setAll(current.current);
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [pull]);
+
+  const update = useCallback(
+    (next) => {
+      const prev = current.current;
+      const visible = prev.filter((p) => !p.deletedAt);
+      const list = typeof next === "function" ? next(visible) : next;
+      const kept = new Set(list.map((p) => p.id));
+      const now = Date.now();
+      const removed = visible.filter((p) => !kept.has(p.id)).map((p) => ({ ...p, deletedAt: now, updatedAt: now }));
+      const result = [...list, ...removed, ...prev.filter((p) => p.deletedAt && !kept.has(p.id))];
+      apply(result);
+      syncPartners(result).then(pull);
+    },
+    [apply, pull]
+  );
+
+  const partners = useMemo(() => all.filter((p) => !p.deletedAt), [all]);
+  return [partners, update];
+}
+
+export const byName = (a, b) => a.name.localeCompare(b.name);
+
+/** Point a lead at a partner (or at nobody) and keep its agent name in step. */
+export function linkPartner(lead, partner) {
+  return { ...lead, partnerId: partner ? partner.id : "", agent: partner ? partner.name : lead.agent };
+}
+
+/** Linked leads take the partner's new name after an edit. */
+export function renamePartner(leads, partner, at = Date.now()) {
+  return leads.map((l) => (l.partnerId === partner.id && l.agent !== partner.name ? { ...l, agent: partner.name, updatedAt: at } : l));
+}
+
+/** Deleting a partner leaves the name on its leads as plain text. */
+export const unlinkPartner = (leads, id, at = Date.now()) =>
+  leads.map((l) => (l.partnerId === id ? { ...l, partnerId: "", updatedAt: at } : l));
+
+/**
+ * Partners for the free-text agent names on unlinked leads. Spellings
+ * that are close ("Jane Doe", "jane  doe", "Jane Do") become one partner
+ * under the most common spelling; names close to an existing partner join it.
+ * Returns { partners: the new ones, links: Map(leadId -> partner) }.
+ */
+export function partnersFromAgents(partners, leads) {
+  const groups = partners.map((p) => ({ partner: p, key: nameKey(p.name), names: new Map(), leads: [] }));
+  const links = new Map();
+  const added = [];
+
+  leads
+    .filter((l) => l.agent && !l.partnerId)
+    .forEach((l) => {
+      const key = nameKey(l.agent);
+      let group = groups.find((g) => similarity(g.key, key) >= NAME_MIN);
+      if (!group) {
+        group = { partner: null, key, names: new Map(), leads: [] };
+        groups.push(group);
+      }
+      group.names.set(l.agent, (group.names.get(l.agent) || 0) + 1);
+      group.leads.push(l);
+    });
+
+  groups.forEach((g) => {
+    if (!g.leads.length) return;
+    if (!g.partner) {
+      const name = [...g.names].sort((a, b) => b[1] - a[1])[0][0];
+      g.partner = normalizePartner({ name });
+      added.push(g.partner);
+    }
+    g.leads.forEach((l) => links.set(l.id, g.partner));
+  });
+  return { partners: added, links };
+}
+
+/**
+ * Referral performance per partner, from live leads: referrals, won,
+ * wonVolume, conversion and closeRate as on the dashboard, plus the day
+ * of the latest referral. Leads linked to a partner this list lacks (not
+ * synced yet, or deleted elsewhere) get a row of their own, named from
+ * the lead's agent and marked `unknown`.
+ */
+export function partnerStats(partners, leads) {
+  const live = activeLeads(leads).filter((l) => l.partnerId);
+  const rows = new Map(conversionBy(live, (l) => l.partnerId).map((r) => [r.key, r]));
+  const known = new Set(partners.map((p) => p.id));
+  const missing = new Map();
+  live.forEach((l) => {
+    if (!known.has(l.partnerId) && !missing.has(l.partnerId)) {
+      missing.set(l.partnerId, { id: l.partnerId, name: l.agent || "Unknown partner", brokerage: "", unknown: true });
+    }
+  });
+  return [...partners, ...missing.values()].map((partner) => {
+    const own = live.filter((l) => l.partnerId === partner.id);
+    const row = rows.get(partner.id) || { total: 0, won: 0, wonVolume: 0, conversion: 0, closeRate: 0 };
+    const last = own.reduce((max, l) => Math.max(max, l.createdAt || 0), 0);
+    return {
+      partner,
+      referrals: row.total,
+      won: row.won,
+      wonVolume: row.wonVolume,
+      conversion: row.conversion,
+      closeRate: row.closeRate,
+      lastReferral: last ? dayOf(last) : "",
+    };
+  });
+}
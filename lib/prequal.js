@@ -0,0 +1,136 @@
+// lib/prequal.js
+/** ------------------------------
+ *  Pre-qualification: debt-to-income and loan-to-value checked against
+ *  per-loan-type guidelines. A screen for the pipeline, not an
+ *  underwriting decision; AUS findings and lender overlays still rule.
+ *  ------------------------------ */
+import { CREDIT_TIERS } from "./leadSchema";
+import { estimatePayment } from "./mortgage";
+
+/**
+ * Planning defaults per loan type. DTI figures are % of gross monthly
+ * income: over maxFrontDti or maxBackDti needs compensating factors
+ * (warn), over stretchBackDti is out (fail). A null limit is not checked.
+ */
+export const DEFAULT_GUIDELINES = {
+  Conventional: { minScore: 620, maxFrontDti: 28, maxBackDti: 45, stretchBackDti: 50, maxLtv: 97 },
+  FHA: { minScore: 580, maxFrontDti: 31, maxBackDti: 43, stretchBackDti: 57, maxLtv: 96.5 },
+  VA: { minScore: 580, maxFrontDti: null, maxBackDti: 41, stretchBackDti: 60, maxLtv: 100 },
+  Jumbo: { minScore: 700, maxFrontDti: 36, maxBackDti: 43, stretchBackDti: 43, maxLtv: 90 },
+  USDA: { minScore: 640, maxFrontDti: 29, maxBackDti: 41, stretchBackDti: 44, maxLtv: 100 },
+  HELOC: { minScore: 680, maxFrontDti: null, maxBackDti: 43, stretchBackDti: 50, maxLtv: 85 },
+};
+
+export const GUIDELINE_FIELDS = {
+  minScore: "Min score",
+  maxFrontDti: "Front DTI %",
+  maxBackDti: "Back DTI %",
+  stretchBackDti: "Max back DTI %",
+  maxLtv: "Max LTV %",
+};
+
+export const PREQUAL_RESULTS = {
+  pass: "Pass",
+  warn: "Warn",
+  fail: "Fail",
+  incomplete: "Incomplete",
+};
+
+const RANK = { pass: 0, warn: 1, fail: 2 };
+
+const num = (v) => {
+  const n = Number(v);
+  return v === "" || v === null || v === undefined || !Number.isFinite(n) ? null : n;
+};
+const pct = (n) => `${Math.round(n * 10) / 10}%`;
+
+/** Saved overrides win field by field, so a new guideline key still gets its default. */
+export function guidelineFor(loanType, guidelines = {}) {
+  return { ...(DEFAULT_GUIDELINES[loanType] || DEFAULT_GUIDELINES.Conventional), ...guidelines[loanType] };
+}
+
+/** The purchase price, else loan + down payment when only those are known. */
+function leadPrice(lead) {
+  const loan = num(lead.loanAmount);
+  const down = num(lead.downPayment);
+  return num(lead.purchasePrice) || (loan && down !== null ? loan + down : null);
+}
+
+/**
+ * estimatePayment priced the way prequalify sees the lead, so the down
+ * payment counts toward LTV, mortgage insurance and taxes wherever the
+ * payment is shown. null without a loan amount.
+ */
+export function leadPayment(lead) {
+  const price = leadPrice(lead);
+  return num(lead.loanAmount) ? estimatePayment({ ...lead, purchasePrice: price ?? "" }) : null;
+}
+
+/** Ratios for a lead; any of them is null when its inputs are missing. */
+export function qualifyingRatios(lead) {
+  const loan = num(lead.loanAmount);
+  const income = num(lead.monthlyIncome);
+  const debts = num(lead.monthlyDebts) ?? 0;
+  const price = leadPrice(lead);
+  const estimate = leadPayment(lead);
+  const housing = estimate ? estimate.total : null;
+  return {
+    housing,
+    frontDti: housing !== null && income ? (housing / income) * 100 : null,
+    backDti: housing !== null && income ? ((housing + debts) / income) * 100 : null,
+    ltv: loan && price ? (loan / price) * 100 : null,
+  };
+}
+
+/**
+ * { result, checks, ratios }. Each check is { key, label, result, detail };
+ * the overall result is the worst check, or "incomplete" while income,
+ * credit, loan amount or price is still unknown.
+ */
+export function prequalify(lead, guidelines) {
+  const g = guidelineFor(lead.loanType, guidelines);
+  const ratios = qualifyingRatios(lead);
+  const tier = CREDIT_TIERS[lead.creditTier];
+  const checks = [];
+
+  if (tier && g.minScore) {
+    const result = tier.min >= g.minScore ? "pass" : tier.max >= g.minScore ? "warn" : "fail";
+    checks.push({
+      key: "credit",
+      label: "Credit",
+      result,
+      detail: `${tier.label} vs ${g.minScore} minimum${result === "warn" ? "; confirm the actual score" : ""}`,
+    });
+  }
+  if (ratios.frontDti !== null && g.maxFrontDti) {
+    checks.push({
+      key: "frontDti",
+      label: "Front-end DTI",
+      result: ratios.frontDti <= g.maxFrontDti ? "pass" : "warn",
+      detail: `${pct(ratios.frontDti)} of income for housing (guideline ${g.maxFrontDti}%)`,
+    });
+  }
+  if (ratios.backDti !== null && g.maxBackDti) {
+    const stretch = Math.max(g.maxBackDti, g.stretchBackDti || 0);
+    const result = ratios.backDti <= g.maxBackDti ? "pass" : ratios.backDti <= stretch ? "warn" : "fail";
+    checks.push({
+      key: "backDti",
+      label: "Back-end DTI",
+      result,
+      detail: `${pct(ratios.backDti)} with debts (guideline ${g.maxBackDti}%, max ${stretch}%)`,
+    });
+  }
+  if (ratios.ltv !== null && g.maxLtv) {
+    checks.push({
+      key: "ltv",
+      label: "LTV",
+      result: ratios.ltv <= g.maxLtv ? "pass" : "fail",
+      detail: `${pct(ratios.ltv)} (max ${g.maxLtv}%)`,
+    });
+  }
+
+  const known = tier && ratios.backDti !== null && ratios.ltv !== null;
+  const worst = checks.reduce((w, c) => (RANK[c.result] > RANK[w] ? c.result : w), "pass");
+  const result = worst === "fail" ? "fail" : known ? worst : "incomplete";
+  return { result, checks, ratios };
+}
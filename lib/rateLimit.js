@@ -0,0 +1,44 @@
+// lib/rateLimit.js
+// Server-only: a fixed-window counter per key, kept in this process's memory.
+
+/** hit(key) counts one request and returns false once `limit` is used up for the window. */
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key → { start, count }
+
+  const hit = (key, now = Date.now()) => {
+    const w = windows.get(key);
+    if (!w || now - w.start >= windowMs) {
+      windows.set(key, { start: now, count: 1 });
+      if (windows.size > 10000) prune(now);
+      return true;
+    }
+    w.count += 1;
+    return w.count <= limit;
+  };
+
+  const prune = (now) => {
+    windows.forEach((w, key) => {
+      if (now - w.start >= windowMs) windows.delete(key);
+    });
+  };
+
+  return { hit };
+}
+
+/** How many reverse proxies in front of the app append to X-Forwarded-For (0 = none). */
+const TRUSTED_PROXIES = Math.max(0, Number(process.env.UMM_TRUSTED_PROXIES) || 0);
+
+/**
+ * The rate-limit key. Clients can write any X-Forwarded-For they like, so
+ * it is only read behind configured proxies, and then only the hop the
+ * outermost trusted proxy appended (counting from the right).
+ */
+export function clientIp(req) {
+  const socket = req.socket?.remoteAddress || "unknown";
+  if (!TRUSTED_PROXIES) return socket;
+  const hops = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((h) => h.trim())
+    .filter(Boolean);
+  return hops[hops.length - TRUSTED_PROXIES] || socket;
+}
@@ -0,0 +1,103 @@
+// lib/refi.js
+/** ------------------------------
+ *  Refinance break-even for past clients. The existing loan is what
+ *  the client told us (lead.existingLoan) or, failing that, what we
+ *  closed for them: loanAmount at interestRate over termYears,
+ *  amortized from closeDate to today.
+ *  ------------------------------ */
+import { monthlyPrincipalAndInterest } from "./mortgage";
+import { parseDay } from "./dates";
+import { isTrashed } from "./trash";
+
+const num = (v) => {
+  const n = Number(v);
+  return v === "" || v === null || v === undefined || !Number.isFinite(n) ? null : n;
+};
+
+/** Whole months from one yyyy-mm-dd to another; 0 if either is missing. */
+function monthsBetween(from, to) {
+  const a = parseDay(from);
+  const b = parseDay(to);
+  if (!a || !b) return 0;
+  const months = (b.getFullYear() - a.getFullYear()) * 12 + (b.getMonth() - a.getMonth());
+  return Math.max(0, b.getDate() < a.getDate() ? months - 1 : months);
+}
+
+/** Balance left after `paid` payments on a fixed-rate loan. */
+function balanceAfter(principal, annualRate, termMonths, paid) {
+  const r = annualRate / 100 / 12;
+  if (paid >= termMonths) return 0;
+  if (!r) return principal * (1 - paid / termMonths);
+  const payment = monthlyPrincipalAndInterest(principal, annualRate, termMonths / 12);
+  return principal * Math.pow(1 + r, paid) - (payment * (Math.pow(1 + r, paid) - 1)) / r;
+}
+
+/** Past clients worth watching: closed with us, or tagged with the Past Client source. */
+export const isPastClient = (lead) => !isTrashed(lead) && (lead.status === "Won" || lead.source === "Past Client");
+
+/**
+ * { rate, balance, remainingMonths, estimated } for the client's current
+ * mortgage, or null when neither stored nor closed-loan figures are enough.
+ * `estimated` lists the values that were derived rather than entered.
+ */
+export function existingLoanTerms(lead, today) {
+  const stored = lead.existingLoan || {};
+  const termMonths = Math.round((num(lead.termYears) || 30) * 12);
+  const paid = monthsBetween(lead.closeDate, today);
+  const estimated = [];
+
+  let rate = num(stored.rate);
+  if (rate === null) {
+    rate = num(lead.interestRate);
+    estimated.push("rate");
+  }
+  let remainingMonths = num(stored.remainingMonths);
+  if (remainingMonths === null && lead.closeDate) {
+    remainingMonths = termMonths - paid;
+    estimated.push("remaining term");
+  }
+  let balance = num(stored.balance);
+  if (balance === null && rate !== null && num(lead.loanAmount) && lead.closeDate) {
+    balance = balanceAfter(num(lead.loanAmount), rate, termMonths, paid);
+    estimated.push("balance");
+  }
+  if (rate === null || !balance || !remainingMonths || remainingMonths <= 0) return null;
+  return { rate, balance, remainingMonths, estimated };
+}
+
+/**
+ * Compare keeping the current loan with refinancing the balance at
+ * `currentRate` over `termYears`. Closing costs are % of the balance.
+ * breakevenMonths is null when the new payment is not lower.
+ */
+export function analyzeRefi(lead, { currentRate, termYears, closingCostRate }, today) {
+  const loan = existingLoanTerms(lead, today);
+  if (!loan || num(currentRate) === null) return null;
+  const oldPayment = monthlyPrincipalAndInterest(loan.balance, loan.rate, loan.remainingMonths / 12);
+  const newPayment = monthlyPrincipalAndInterest(loan.balance, Number(currentRate), termYears);
+  const savings = oldPayment - newPayment;
+  const closingCosts = (loan.balance * (num(closingCostRate) || 0)) / 100;
+  const oldInterest = oldPayment * loan.remainingMonths - loan.balance;
+  const newInterest = newPayment * termYears * 12 - loan.balance;
+  return {
+    ...loan,
+    newRate: Number(currentRate),
+    termYears,
+    oldPayment,
+    newPayment,
+    savings,
+    closingCosts,
+    breakevenMonths: savings > 0 ? Math.ceil(closingCosts / savings) : null,
+    // negative when the longer new term costs more interest overall
+    lifetimeSavings: oldInterest - newInterest - closingCosts,
+  };
+}
+
+/** Past clients whose refinance pays back within `horizonMonths`, quickest first. */
+export function refiCandidates(leads, prefs, today) {
+  return leads
+    .filter(isPastClient)
+    .map((lead) => ({ lead, analysis: analyzeRefi(lead, prefs, today) }))
+    .filter(({ analysis }) => analysis && analysis.breakevenMonths !== null && analysis.breakevenMonths <= prefs.horizonMonths)
+    .sort((a, b) => a.analysis.breakevenMonths - b.analysis.breakevenMonths || b.analysis.savings - a.analysis.savings);
+}
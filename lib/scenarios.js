@@ -0,0 +1,104 @@
+// lib/scenarios.js
+/** ------------------------------
+ *  Named what-if loans on a lead ("FHA 30yr", "Conv 15yr + 1 pt").
+ *  Each scenario only stores its own terms; price, taxes, insurance
+ *  and HOA come from the lead so the comparison stays like for like.
+ *  ------------------------------ */
+import { PAYMENT_DEFAULTS, estimatePayment, monthlyPrincipalAndInterest } from "./mortgage";
+
+export const MAX_SCENARIOS = 4;
+
+/** Third-party closing costs, % of the loan, when nothing better is known. */
+export const CLOSING_COST_RATE = 2;
+
+const num = (v) => {
+  const n = Number(String(v ?? "").replace(/[$,\s]/g, ""));
+  return v === "" || v === null || v === undefined || !Number.isFinite(n) ? null : n;
+};
+
+/** Home price for the lead: the purchase price, else loan + down payment. */
+export function scenarioPrice(lead) {
+  const loan = num(lead.loanAmount);
+  const down = num(lead.downPayment);
+  return num(lead.purchasePrice) || (loan && down !== null ? loan + down : null);
+}
+
+/** A new scenario seeded from the lead's current terms. */
+export function createScenario(lead, fields = {}) {
+  const price = scenarioPrice(lead);
+  const loan = num(lead.loanAmount);
+  return {
+    id: crypto.randomUUID(),
+    name: fields.name || `${lead.loanType || "Conventional"} ${lead.termYears || 30}yr`,
+    loanType: lead.loanType || "Conventional",
+    rate: lead.interestRate === "" || lead.interestRate === undefined ? PAYMENT_DEFAULTS.interestRate : lead.interestRate,
+    points: 0,
+    termYears: lead.termYears || 30,
+    downPayment: price && loan ? price - loan : num(lead.downPayment) ?? "",
+    ...fields,
+  };
+}
+
+/**
+ * Costs of one scenario, or null until there is a price to work from.
+ * Upfront MIP / funding fees are financed, as in estimatePayment; points
+ * and closing costs are paid in cash.
+ */
+export function evaluateScenario(lead, scenario) {
+  const price = scenarioPrice(lead);
+  const down = Math.max(0, num(scenario.downPayment) ?? 0);
+  if (!price || down >= price) return null;
+  const loan = price - down;
+  const estimate = estimatePayment({
+    ...lead,
+    loanType: scenario.loanType,
+    interestRate: num(scenario.rate) ?? "",
+    termYears: num(scenario.termYears) || PAYMENT_DEFAULTS.termYears,
+    loanAmount: loan,
+    purchasePrice: price,
+  });
+  if (!estimate) return null;
+  const months = Math.round(estimate.termYears * 12);
+  const interestOnly = scenario.loanType === "HELOC";
+  const pointsCost = (loan * (num(scenario.points) || 0)) / 100;
+  const closingCosts = (loan * CLOSING_COST_RATE) / 100;
+  return {
+    down,
+    loan,
+    ltv: estimate.ltv,
+    estimate,
+    interestOnly,
+    payment: estimate.total,
+    pointsCost,
+    closingCosts,
+    cashToClose: down + pointsCost + closingCosts,
+    totalInterest: estimate.principalAndInterest * months - (interestOnly ? 0 : estimate.totalLoan),
+  };
+}
+
+/**
+ * Months for a scenario's extra points to pay for themselves against
+ * `base`. The saving is the principal and interest its rate saves over
+ * the base rate on this scenario's own loan and term, so a bigger down
+ * payment or a longer term is not credited to the points. null when it
+ * buys no more points than the base; Infinity when the rate is not lower.
+ */
+export function pointsBreakeven(result, base) {
+  if (!result || !base) return null;
+  const extra = result.pointsCost - base.pointsCost;
+  if (extra <= 0) return null;
+  const { totalLoan, termYears, principalAndInterest } = result.estimate;
+  const baseRate = base.estimate.rate;
+  const atBaseRate = result.interestOnly
+    ? (totalLoan * baseRate) / 100 / 12
+    : monthlyPrincipalAndInterest(totalLoan, baseRate, termYears);
+  const savings = atBaseRate - principalAndInterest;
+  return savings > 0 ? Math.ceil(extra / savings) : Infinity;
+}
+
+/** Each scenario with its numbers; breakeven is measured against the first one. */
+export function compareScenarios(lead, scenarios = []) {
+  const results = scenarios.map((s) => ({ scenario: s, result: evaluateScenario(lead, s) }));
+  const base = results[0]?.result;
+  return results.map((r, i) => ({ ...r, breakevenMonths: i === 0 ? null : pointsBreakeven(r.result, base) }));
+}
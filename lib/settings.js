@@ -0,0 +1,74 @@
+// lib/settings.js
+import { useCallback, useEffect, useState } from "react";
+import { DEFAULT_GUIDELINES } from "./prequal";
+import { DEFAULT_TEMPLATES } from "./templates";
+import { DEFAULT_CHECKLISTS } from "./checklist";
+
+const SETTINGS_KEY = "umm_settings";
+
+/** Per-browser preferences. Nested objects are merged one level deep over these. */
+export const DEFAULT_SETTINGS = {
+  // days a lead may sit in a stage before it is flagged as stuck
+  stuckDays: {
+    New: 3,
+    "Pre-Approved": 14,
+    "In Process": 21,
+    Conditional: 7,
+    "Clear to Close": 5,
+  },
+  // trashed leads are purged for good after this many days
+  trashRetentionDays: 30,
+  // desktop reminders for follow-ups; times are HH:MM on this device's clock
+  notifications: {
+    enabled: false,
+    quietStart: "21:00",
+    quietEnd: "08:00",
+    summaryTime: "08:30",
+  },
+  // pre-qualification limits per loan type; see lib/prequal
+  guidelines: DEFAULT_GUIDELINES,
+  // SMS / email templates; the whole list is saved once edited
+  templates: DEFAULT_TEMPLATES,
+  // document checklist per loan type, see lib/checklist
+  checklists: DEFAULT_CHECKLISTS,
+  // refinance watch for past clients; closing costs are % of the balance
+  refi: {
+    currentRate: 6.25,
+    termYears: 30,
+    closingCostRate: 2,
+    horizonMonths: 36,
+  },
+};
+
+function merge(saved) {
+  const out = { ...DEFAULT_SETTINGS };
+  Object.entries(saved || {}).forEach(([k, v]) => {
+    const base = DEFAULT_SETTINGS[k];
+    out[k] = base && typeof base === "object" && !Array.isArray(base) ? { ...base, ...v } : v;
+  });
+  return out;
+}
+
+export function loadSettings() {
+  try {
+    return merge(JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"));
+  } catch {
+    return merge({});
+  }
+}
+
+/** [settings, update] where update(patch) shallow-merges and persists. */
+export function useSettings() {
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  useEffect(() => setSettings(loadSettings()), []);
+  const update = useCallback((patch) => {
+    setSettings((prev) => {
+      const next = merge({ ...prev, ...patch });
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+      } catch {}
+      return next;
+    });
+  }, []);
+  return [settings, update];
+}
@@ -0,0 +1,76 @@
+// lib/statusHistory.js
+/** ------------------------------
+ *  Status transitions and time-in-stage.
+ *  statusHistory is an append-only list of { status, at } (at = ms),
+ *  oldest first; the last entry is always the lead's current status.
+ *  ------------------------------ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Move a lead to a new status, recording when it happened. */
+export function withStatus(lead, status, at = Date.now()) {
+  if (lead.status === status) return lead;
+  return {
+    ...lead,
+    status,
+    statusHistory: [...(lead.statusHistory || []), { status, at }],
+    updatedAt: at,
+  };
+}
+
+/**
+ * Make sure the history ends at the current status. Called from
+ * normalizeLead so edits that only set `status` still leave a trail.
+ */
+export function reconcileHistory(lead) {
+  const history = Array.isArray(lead.statusHistory)
+    ? lead.statusHistory
+        .filter((h) => h && h.status)
+        .map((h) => ({ ...h, at: Number(h.at) || lead.createdAt }))
+    : [];
+  const last = history[history.length - 1];
+  if (!last) return [{ status: lead.status, at: lead.createdAt }];
+  if (last.status !== lead.status) return [...history, { status: lead.status, at: lead.updatedAt }];
+  return history;
+}
+
+export function enteredStageAt(lead) {
+  const history = lead.statusHistory || [];
+  return history.length ? history[history.length - 1].at : lead.updatedAt || lead.createdAt;
+}
+
+export function daysInStage(lead, now = Date.now()) {
+  return Math.max(0, Math.floor((now - enteredStageAt(lead)) / DAY));
+}
+
+/** Every stint as { status, from, to, days }; the current one has to = null. */
+export function stints(lead, now = Date.now()) {
+  const history = lead.statusHistory || [];
+  return history.map((h, i) => {
+    const to = i + 1 < history.length ? history[i + 1].at : null;
+    return { ...h, from: h.at, to, days: ((to ?? now) - h.at) / DAY };
+  });
+}
+
+/** Average days per stage over completed stints across all leads. */
+export function averageDaysPerStage(leads) {
+  const totals = {};
+  leads.forEach((l) =>
+    stints(l)
+      .filter((s) => s.to !== null)
+      .forEach((s) => {
+        const t = (totals[s.status] = totals[s.status] || { days: 0, count: 0 });
+        t.days += s.days;
+        t.count += 1;
+      })
+  );
+  return Object.fromEntries(
+    Object.entries(totals).map(([status, t]) => [status, t.days / t.count])
+  );
+}
+
+/** Open leads that have sat in their stage longer than the configured limit. */
+export function isStuck(lead, stuckDays, now = Date.now()) {
+  const limit = stuckDays?.[lead.status];
+  if (!limit || lead.status === "Won" || lead.status === "Lost") return false;
+  return daysInStage(lead, now) > limit;
+}
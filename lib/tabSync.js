@@ -0,0 +1,101 @@
+// lib/tabSync.js
+/** ------------------------------
+ *  Lead changes shared between open tabs of this browser.
+ *  Each message carries only the leads that changed, with the updatedAt
+ *  they were edited from (base), so the receiver can tell a clean update
+ *  from two tabs editing the same lead at once.
+ *  BroadcastChannel where available, `storage` events otherwise.
+ *  ------------------------------ */
+const CHANNEL = "umm_leads";
+const FALLBACK_KEY = "umm_leads_broadcast";
+
+/** Changes from prevById (Map) to next: [{ id, lead | null, base }], lead null = removed. */
+export function diffLeads(prevById, next) {
+  const changes = [];
+  const seen = new Set();
+  next.forEach((l) => {
+    seen.add(l.id);
+    const old = prevById.get(l.id);
+    if (old !== l) changes.push({ id: l.id, lead: l, base: old ? old.updatedAt : null });
+  });
+  prevById.forEach((old, id) => {
+    if (!seen.has(id)) changes.push({ id, lead: null, base: old.updatedAt });
+  });
+  return changes;
+}
+
+/**
+ * Fold another tab's changes into `leads`. A change applies cleanly when our
+ * copy is still the one it was based on; otherwise the newer updatedAt wins
+ * and the clash is reported. Returns { leads, conflicts } and hands back the
+ * same array when nothing changed.
+ */
+export function applyChanges(leads, changes) {
+  const byId = new Map(leads.map((l) => [l.id, l]));
+  const conflicts = [];
+  let changed = false;
+  changes.forEach(({ id, lead, base }) => {
+    const mine = byId.get(id);
+    const clean = !mine || mine.updatedAt === base || (lead && mine.updatedAt === lead.updatedAt);
+    if (lead) {
+      if (mine && mine.updatedAt === lead.updatedAt && JSON.stringify(mine) === JSON.stringify(lead)) return;
+      if (clean || lead.updatedAt >= mine.updatedAt) {
+        if (!clean) conflicts.push({ id, name: lead.name, kept: "other tab" });
+        byId.set(id, lead);
+        changed = true;
+      } else {
+        conflicts.push({ id, name: mine.name, kept: "this tab" });
+      }
+    } else if (mine) {
+      if (clean) {
+        byId.delete(id);
+        changed = true;
+      } else {
+        conflicts.push({ id, name: mine.name, kept: "this tab" });
+      }
+    }
+  });
+  if (!changed) return { leads, conflicts };
+  // keep this tab's order; leads new to it go on top
+  const known = new Set(leads.map((l) => l.id));
+  const added = Array.from(byId.values()).filter((l) => !known.has(l.id));
+  return { leads: [...added, ...leads.filter((l) => byId.has(l.id)).map((l) => byId.get(l.id))], conflicts };
+}
+
+/** onChanges(changes) fires for messages from other tabs only. */
+export function createTabSync(onChanges) {
+  const tab = typeof crypto !== "undefined" && crypto.randomUUID ? crypto.randomUUID() : String(Math.random());
+  let channel = null;
+  const receive = (msg) => {
+    if (msg && msg.tab !== tab && Array.isArray(msg.changes)) onChanges(msg.changes);
+  };
+  const onStorage = (e) => {
+    if (e.key !== FALLBACK_KEY || !e.newValue) return;
+    try {
+      receive(JSON.parse(e.newValue));
+    } catch {}
+  };
+
+  if (typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL);
+    channel.onmessage = (e) => receive(e.data);
+  } else {
+    window.addEventListener("storage", onStorage);
+  }
+
+  return {
+    post(changes) {
+      if (!changes.length) return;
+      const msg = { tab, changes };
+      if (channel) return channel.postMessage(msg);
+      try {
+        localStorage.setItem(FALLBACK_KEY, JSON.stringify(msg));
+        localStorage.removeItem(FALLBACK_KEY);
+      } catch {}
+    },
+    close() {
+      if (channel) channel.close();
+      else window.removeEventListener("storage", onStorage);
+    },
+  };
+}
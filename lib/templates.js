@@ -0,0 +1,117 @@
+// lib/templates.js
+/** ------------------------------
+ *  Message templates for SMS and email. Bodies use {{field}} merge
+ *  fields filled from the lead; sending opens the device's SMS or mail
+ *  app with the text in place and records the send on the lead's
+ *  activity log.
+ *  ------------------------------ */
+import { toE164 } from "./contact";
+import { formatDay } from "./dates";
+import { addActivity } from "./activity";
+
+/** Merge fields offered in the editor, with how each is filled. */
+export const TEMPLATE_FIELDS = {
+  name: (l) => l.name,
+  firstName: (l) => String(l.name || "").split(/\s+/)[0],
+  loanAmount: (l) =>
+    Number(l.loanAmount) ? Number(l.loanAmount).toLocaleString("en-US", { style: "currency", currency: "USD", maximumFractionDigits: 0 }) : "",
+  loanType: (l) => l.loanType,
+  status: (l) => l.status,
+  nextFollowUp: (l) => (l.nextFollowUp ? formatDay(l.nextFollowUp, { weekday: "long", month: "long", day: "numeric" }) : ""),
+  closeDate: (l) => (l.closeDate ? formatDay(l.closeDate, { month: "long", day: "numeric" }) : ""),
+  agent: (l) => l.agent,
+  propertyAddress: (l) => l.propertyAddress,
+};
+
+export const CHANNELS = { sms: "SMS", email: "Email" };
+
+/** `status` makes a template the suggested one for leads in that stage. */
+export const DEFAULT_TEMPLATES = [
+  {
+    id: "new-intro",
+    name: "Intro",
+    status: "New",
+    subject: "Your {{loanType}} loan",
+    body: "Hi {{firstName}}, thanks for reaching out about financing. I'd love to learn what you're looking for. Is now a good time for a quick call?",
+  },
+  {
+    id: "pre-approved",
+    name: "Pre-approval ready",
+    status: "Pre-Approved",
+    subject: "You're pre-approved",
+    body: "Great news {{firstName}}, your pre-approval is ready. Send me any offer details and I'll update the letter for the property.",
+  },
+  {
+    id: "docs-needed",
+    name: "Docs needed",
+    status: "In Process",
+    subject: "A few documents for your loan",
+    body: "Hi {{firstName}}, to keep your {{loanAmount}} loan moving I still need a few documents. I'll send the list; reply here with any questions.",
+  },
+  {
+    id: "conditions",
+    name: "Conditions update",
+    status: "Conditional",
+    subject: "Underwriting conditions",
+    body: "Hi {{firstName}}, underwriting came back with a short list of conditions for {{propertyAddress}}. Once they're cleared we move to closing.",
+  },
+  {
+    id: "clear-to-close",
+    name: "Clear to Close congratulations",
+    status: "Clear to Close",
+    subject: "You're clear to close!",
+    body: "Congratulations {{firstName}}, you're clear to close! I'll confirm the closing time with {{agent}} and send your final numbers.",
+  },
+  {
+    id: "closed-thanks",
+    name: "Thank you",
+    status: "Won",
+    subject: "Thank you",
+    body: "Thank you for trusting me with your loan, {{firstName}}. If friends or family need a lender, I'd be glad to help them too.",
+  },
+  {
+    id: "check-in",
+    name: "Check-in",
+    status: "",
+    subject: "Checking in",
+    body: "Hi {{firstName}}, just checking in. Are you free to talk on {{nextFollowUp}}?",
+  },
+];
+
+/** Replace {{field}} markers; unknown or empty fields become "". */
+export function fillTemplate(text, lead) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    const fill = TEMPLATE_FIELDS[key];
+    return fill ? String(fill(lead) ?? "") : "";
+  });
+}
+
+/** Templates for this lead's stage first, then the rest in library order. */
+export function templatesFor(templates, lead) {
+  const own = templates.filter((t) => t.status === lead.status);
+  return [...own, ...templates.filter((t) => t.status !== lead.status)];
+}
+
+/** Channels a lead can be reached on. */
+export function channelsFor(lead) {
+  return Object.keys(CHANNELS).filter((c) => (c === "sms" ? !!toE164(lead.phone) : !!lead.email));
+}
+
+/** sms: or mailto: URL with the filled template; body encoding follows RFC 5724 / 6068. */
+export function messageLink(channel, lead, template) {
+  const body = encodeURIComponent(fillTemplate(template.body, lead));
+  if (channel === "sms") return `sms:${toE164(lead.phone)}?body=${body}`;
+  const subject = encodeURIComponent(fillTemplate(template.subject, lead));
+  return `mailto:${encodeURIComponent(lead.email).replace(/%40/g, "@")}?subject=${subject}&body=${body}`;
+}
+
+/** The lead with the send on its activity log as a text or email. */
+export function logMessage(lead, channel, template, at = Date.now()) {
+  return addActivity(lead, {
+    at,
+    type: channel === "sms" ? "text" : "email",
+    outcome: "Sent",
+    text: template.name,
+    templateId: template.id,
+  });
+}
@@ -0,0 +1,56 @@
+// lib/trash.js
+/** ------------------------------
+ *  Soft delete. A trashed lead keeps its data and syncs like any other
+ *  edit; it only disappears for good once purged.
+ *  ------------------------------ */
+const DAY = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (lead) => !!lead.deletedAt;
+export const activeLeads = (leads) => leads.filter((l) => !l.deletedAt);
+export const trashedLeads = (leads) =>
+  leads.filter((l) => l.deletedAt).sort((a, b) => b.deletedAt - a.deletedAt);
+
+/** Move ids to the trash; leads already there keep their original deletedAt. */
+export function trashLeads(leads, ids, at = Date.now()) {
+  const set = new Set(ids);
+  return leads.map((l) => (set.has(l.id) && !l.deletedAt ? { ...l, deletedAt: at, updatedAt: at } : l));
+}
+
+export function restoreLeads(leads, ids, at = Date.now()) {
+  const set = new Set(ids);
+  return leads.map((l) => (set.has(l.id) && l.deletedAt ? { ...l, deletedAt: null, updatedAt: at } : l));
+}
+
+/** Permanently drop trashed ids. Live leads are never purged. */
+export function purgeLeads(leads, ids) {
+  const set = new Set(ids);
+  return leads.filter((l) => !(l.deletedAt && set.has(l.id)));
+}
+
+/** Days left before a trashed lead is purged (0 = due). */
+export function daysLeft(lead, retentionDays, now = Date.now()) {
+  return Math.max(0, Math.ceil((lead.deletedAt + retentionDays * DAY - now) / DAY));
+}
+
+/** Trashed leads older than retentionDays, i.e. what purgeExpired would drop. */
+export function expiredLeads(leads, retentionDays, now = Date.now()) {
+  if (!(retentionDays > 0)) return [];
+  const cutoff = now - retentionDays * DAY;
+  return leads.filter((l) => l.deletedAt && l.deletedAt <= cutoff);
+}
+
+/** Drop leads trashed more than retentionDays ago; returns the same list when nothing expired. */
+export function purgeExpired(leads, retentionDays, now = Date.now()) {
+  const expired = new Set(expiredLeads(leads, retentionDays, now));
+  return expired.size ? leads.filter((l) => !expired.has(l)) : leads;
+}
+
+/**
+ * Put the list back the way `before` had it: changed leads get their old
+ * copy (with a fresh updatedAt so the revert syncs), missing ones return,
+ * and leads that did not exist yet are removed.
+ */
+export function revertTo(current, before, at = Date.now()) {
+  const now = new Map(current.map((l) => [l.id, l]));
+  return before.map((l) => (now.get(l.id) === l ? l : { ...l, updatedAt: at }));
+}
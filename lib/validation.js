@@ -0,0 +1,81 @@
+// lib/validation.js
+/** ------------------------------
+ *  Field checks run before a lead is saved. validateLead returns
+ *  { field: message } for each field that fails, so forms can show
+ *  the message next to the input; an empty object means "save it".
+ *  ------------------------------ */
+import { normalizeEmail, toE164 } from "./contact";
+import { parseDay } from "./dates";
+import { CONFORMING_LIMIT, FHA_CEILING } from "./mortgage";
+import { clearToCloseBlock } from "./checklist";
+
+/** Anything above this is a typo rather than a mortgage. */
+const MAX_LOAN = 10000000;
+
+const money = (n) => `$${Number(n).toLocaleString("en-US")}`;
+
+/**
+ * Amount bounds per loan type. VA has no cap with full entitlement and
+ * entitlement is not tracked, so it is left unchecked and says so.
+ */
+export const LOAN_LIMITS = {
+  Conventional: { max: CONFORMING_LIMIT, label: "conforming limit", instead: "Jumbo" },
+  FHA: { max: FHA_CEILING, label: "FHA limit" },
+  Jumbo: { above: CONFORMING_LIMIT, label: "conforming limit", instead: "Conventional" },
+  VA: {
+    note: `Not checked for VA: no limit with full entitlement; with reduced entitlement confirm against the ${money(CONFORMING_LIMIT)} county limit.`,
+  },
+};
+
+/** Caveat to show under the loan amount when its check is partial; "" otherwise. */
+export const loanAmountNote = (loanType) => LOAN_LIMITS[loanType]?.note || "";
+
+const EMAIL = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/;
+
+/** "" when blank, NaN when it is not a number; $ and commas are allowed. */
+export function parseAmount(v) {
+  const s = String(v ?? "").replace(/[$,\s]/g, "");
+  return s === "" ? "" : Number(s);
+}
+
+export function loanAmountError(loanType, value) {
+  const amount = parseAmount(value);
+  if (amount === "") return "";
+  if (!Number.isFinite(amount)) return "Enter the loan amount as a number.";
+  if (amount <= 0) return "Loan amount must be more than $0.";
+  if (amount > MAX_LOAN) return `Loan amount must be under ${money(MAX_LOAN)}.`;
+  const limit = LOAN_LIMITS[loanType];
+  const instead = limit?.instead ? `; choose ${limit.instead}` : "";
+  if (limit?.max && amount > limit.max) return `Over the ${money(limit.max)} ${limit.label}${instead}.`;
+  if (limit?.above && amount <= limit.above) return `${loanType} starts above the ${money(limit.above)} ${limit.label}${instead}.`;
+  return "";
+}
+
+/** Name, phone and email checks shared by leads and partners. */
+export function validateContact(record) {
+  const errors = {};
+  if (!String(record.name || "").trim()) errors.name = "Name is required.";
+  if (String(record.phone || "").trim() && !toE164(record.phone)) {
+    errors.phone = "Enter a 10-digit US number, or + and the country code.";
+  }
+  if (String(record.email || "").trim() && !EMAIL.test(normalizeEmail(record.email))) {
+    errors.email = "Enter an email like name@example.com.";
+  }
+  return errors;
+}
+
+/**
+ * `before` is the saved copy, if any; only a move into Clear to Close
+ * checks the checklist, against the `checklists` templates.
+ */
+export function validateLead(lead, before = null, checklists) {
+  const errors = validateContact(lead);
+  const amount = loanAmountError(lead.loanType || "Conventional", lead.loanAmount);
+  if (amount) errors.loanAmount = amount;
+  if (lead.status === "Won" && !parseDay(lead.closeDate)) errors.closeDate = "Close date is required for won deals.";
+  if (lead.status === "Clear to Close" && before?.status !== "Clear to Close") {
+    const block = clearToCloseBlock(lead, checklists);
+    if (block) errors.status = block;
+  }
+  return errors;
+}
@@ -1,34 +1,65 @@
 // pages/leads.jsx
-import { useEffect, useMemo, useRef, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import Head from "next/head";
 import Link from "next/link";
+import {
+  STATUSES,
+  SOURCES,
+  LOAN_TYPES,
+  CREDIT_TIERS,
+  LOST_REASONS,
+  VA_USE,
+  createLead,
+  normalizeLead,
+  upsertById,
+} from "../lib/leadSchema";
+import { SYNC_LABELS, conflictMessage, useLeads } from "../lib/leadStore";
+import CsvImportDialog from "../components/CsvImportDialog";
+import JsonImportDialog from "../components/JsonImportDialog";
+import { TERM_OPTIONS, feeLabels } from "../lib/mortgage";
+import { downloadBlob } from "../lib/download";
+import AmortizationView from "../components/AmortizationView";
+import ScenarioCompare from "../components/ScenarioCompare";
+import { averageDaysPerStage, daysInStage, isStuck, stints, withStatus } from "../lib/statusHistory";
+import { useSettings } from "../lib/settings";
+import { useFollowUpReminders } from "../lib/notifications";
+import { byRank, laneVolume, rankBetween } from "../lib/kanban";
+import { activeLeads, purgeExpired, purgeLeads, restoreLeads, revertTo, trashLeads, trashedLeads } from "../lib/trash";
+import { DEFAULT_DRIP, completeFollowUp, describePlan, syncFollowUp } from "../lib/followUps";
+import { FOLLOW_UP_BUCKETS, followUpBucket, localToday } from "../lib/dates";
+import { toICS } from "../lib/ics";
+import { findDuplicates } from "../lib/duplicates";
+import { formatPhone } from "../lib/contact";
+import { loanAmountNote, validateLead } from "../lib/validation";
+import { PREQUAL_RESULTS, leadPayment, prequalify } from "../lib/prequal";
+import GuidelinesDialog from "../components/GuidelinesDialog";
+import { logMessage } from "../lib/templates";
+import { activityLabel, activityText, addActivity, lastActivity } from "../lib/activity";
+import ActivityLog from "../components/ActivityLog";
+import {
+  CHECKLIST_STAGES,
+  checklistProgress,
+  clearToCloseBlock,
+  holdClearToClose,
+  seedChecklist,
+  seedOnEntry,
+} from "../lib/checklist";
+import ChecklistEditor from "../components/ChecklistEditor";
+import ChecklistsDialog from "../components/ChecklistsDialog";
+import MessageMenu from "../components/MessageMenu";
+import TemplatesDialog from "../components/TemplatesDialog";
+import { analyzeRefi, isPastClient } from "../lib/refi";
+import { byName, linkPartner, usePartners } from "../lib/partners";
+import { normalizePartner } from "../lib/partnerSchema";
+import DuplicatesDialog from "../components/DuplicatesDialog";
+import MergeDialog from "../components/MergeDialog";
+import TrashDialog from "../components/TrashDialog";
+import UndoToast from "../components/UndoToast";
+import StorageErrorBanner from "../components/StorageErrorBanner";
 
 /** ------------------------------
  *  Constants & Helpers
  *  ------------------------------ */
-const STORAGE_KEY = "umm_leads_v2";
-
-const STATUSES = [
-  "New",
-  "Pre-Approved",
-  "In Process",
-  "Conditional",
-  "Clear to Close",
-  "Won",
-  "Lost",
-];
-
-const SOURCES = [
-  "Realtor",
-  "Referral",
-  "Direct Web",
-  "Past Client",
-  "Walk-in",
-  "Other",
-];
-
-const LOAN_TYPES = ["Conventional", "FHA", "VA", "Jumbo", "USDA", "HELOC"];
-
 const S = {
   wrap: { maxWidth: 1200, margin: "0 auto", padding: "24px" },
   bar: {
@@ -97,49 +128,17 @@ const S = {
   },
 };
 
-/** localStorage helpers */
-function useLocalStorage(key, initial) {
-  const [state, setState] = useState(initial);
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(key);
-      if (raw) setState(JSON.parse(raw));
-    } catch {}
-    // eslint-disable-next-line
-  }, []);
-  useEffect(() => {
-    try {
-      localStorage.setItem(key, JSON.stringify(state));
-    } catch {}
-  }, [key, state]);
-  return [state, setState];
-}
-
-const defaultLead = () => ({
-  id: crypto.randomUUID(),
-  createdAt: Date.now(),
-  updatedAt: Date.now(),
-  name: "",
-  phone: "",
-  email: "",
-  source: "Realtor",
-  agent: "",
-  loanType: "Conventional",
-  loanAmount: "",
-  propertyAddress: "",
-  status: "New",
-  notes: "",
-  nextFollowUp: "", // yyyy-mm-dd
-  closeDate: "", // yyyy-mm-dd when Won
-});
-
 /** Formatting */
 const fmtMoney = (n) =>
   !n && n !== 0
     ? ""
     : Number(n).toLocaleString(undefined, { style: "currency", currency: "USD" });
-const toISODate = (ts) => new Date(ts).toISOString().slice(0, 10);
-const overdue = (d) => !!d && new Date(d) < new Date();
+const fmtMonthly = (n) =>
+  `${Number(Math.round(n)).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 })}/mo`;
+const BUCKET_COLORS = { overdue: "#f87171", today: "#f59e0b", week: "#a5b4fc" };
+const PREQUAL_COLORS = { pass: "#16a34a", warn: "#f59e0b", fail: "#ef4444", incomplete: "#334155" };
+const followUpColor = (lead, today) => BUCKET_COLORS[followUpBucket(lead, today)] || "inherit";
+const slug = (s) => (s || "lead").replace(/[^\w-]+/g, "-").toLowerCase();
 
 /** Sorting options */
 const SORTS = {
@@ -156,17 +155,60 @@ const SORTS = {
  *  Main Page
  *  ------------------------------ */
 export default function LeadsPage() {
-  const [leads, setLeads] = useLocalStorage(STORAGE_KEY, []);
+  const [leads, setLeads, sync] = useLeads();
   const [query, setQuery] = useState("");
   const [statusFilter, setStatusFilter] = useState("All");
   const [sourceFilter, setSourceFilter] = useState("All");
+  const [dueFilter, setDueFilter] = useState("All"); // "All" | key of FOLLOW_UP_BUCKETS
+  const [prequalFilter, setPrequalFilter] = useState("All"); // "All" | key of PREQUAL_RESULTS
   const [sortKey, setSortKey] = useState("Newest Created");
   const [view, setView] = useState("table"); // "table" | "kanban"
   const [editing, setEditing] = useState(null);
   const fileRef = useRef();
+  const csvRef = useRef();
+  const [jsonFile, setJsonFile] = useState(null);
+  const [csvFile, setCsvFile] = useState(null);
+  const [settings, updateSettings] = useSettings();
+  useFollowUpReminders(leads, settings.notifications);
+  const [showStageSettings, setShowStageSettings] = useState(false);
+  const [closing, setClosing] = useState(null); // { lead, status, extra } awaiting close date / lost reason
+  const [showTrash, setShowTrash] = useState(false);
+  const [undo, setUndo] = useState(null); // { message, revert(prev) => next }
+  const [duplicateCheck, setDuplicateCheck] = useState(null); // { lead, matches } held back on save
+  const [merging, setMerging] = useState(null); // records on the merge screen
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showGuidelines, setShowGuidelines] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [showChecklists, setShowChecklists] = useState(false);
+
+  const live = useMemo(() => activeLeads(leads), [leads]);
+  const today = localToday();
+  const dismissUndo = useCallback(() => setUndo(null), []);
+  const trash = useMemo(() => trashedLeads(leads), [leads]);
+  const prequals = useMemo(
+    () => new Map(live.map((l) => [l.id, prequalify(l, settings.guidelines)])),
+    [live, settings.guidelines]
+  );
 
   /** CRUD */
-  const saveLead = (lead) => {
+  /** New leads, or edits that touch contact details, are checked for duplicates first. */
+  const saveLead = (draft) => {
+    const before = leads.find((l) => l.id === draft.id);
+    if (
+      before &&
+      editing?.id === before.id &&
+      editing.updatedAt !== before.updatedAt &&
+      !confirm(`${before.name} was changed in another tab or device while you were editing. Save your version over it?`)
+    ) {
+      return;
+    }
+    const lead = seedOnEntry(syncFollowUp(normalizeLead(draft), before?.status), before?.status, settings.checklists);
+    const contactChanged = !before || ["name", "phone", "email", "propertyAddress"].some((k) => before[k] !== lead[k]);
+    const matches = contactChanged ? findDuplicates(lead, live) : [];
+    if (matches.length) return setDuplicateCheck({ lead, matches });
+    commitLead(lead);
+  };
+  const commitLead = (lead) => {
     setLeads((prev) => {
       const idx = prev.findIndex((x) => x.id === lead.id);
       if (idx === -1) return [lead, ...prev];
@@ -176,26 +218,95 @@ export default function LeadsPage() {
     });
     setEditing(null);
   };
-  const removeLead = (id) => setLeads((prev) => prev.filter((l) => l.id !== id));
-  const moveStatus = (id, dir) => {
+  /** Store the merged record under its kept id and trash the rest. */
+  const applyMerge = (merged, records) => {
+    const before = leads;
+    const extra = records.map((r) => r.id).filter((id) => id !== merged.id);
+    setLeads((prev) => {
+      const next = prev.some((l) => l.id === merged.id)
+        ? prev.map((l) => (l.id === merged.id ? merged : l))
+        : [merged, ...prev];
+      return trashLeads(next, extra);
+    });
+    setUndo({ message: `Merged ${records.length} leads into ${merged.name}`, revert: (prev) => revertTo(prev, before) });
+    setMerging(null);
+    setEditing(null);
+  };
+  const removeLead = (id) => {
+    const lead = leads.find((l) => l.id === id);
+    setLeads((prev) => trashLeads(prev, [id]));
+    setUndo({
+      message: `${lead?.name || "Lead"} moved to trash`,
+      revert: (prev) => restoreLeads(prev, [id]),
+    });
+  };
+  const applyJsonImport = (next, report) => {
+    const before = leads;
+    setLeads(next);
+    if (report.removed) {
+      setUndo({ message: `Import replaced ${report.removed} lead(s)`, revert: (prev) => revertTo(prev, before) });
+    }
+  };
+  const logSent = (id, channel, template) =>
+    setLeads((prev) => prev.map((l) => (l.id === id ? logMessage(l, channel, template) : l)));
+  const completeLeadFollowUp = (id) =>
+    setLeads((prev) => prev.map((l) => (l.id === id ? completeFollowUp(l) : l)));
+  const setRetention = (days) => {
+    updateSettings({ trashRetentionDays: days });
+    setLeads((prev) => purgeExpired(prev, days));
+  };
+  const applyMove = (id, status, extra = {}) =>
     setLeads((prev) =>
       prev.map((l) => {
         if (l.id !== id) return l;
-        const i = STATUSES.indexOf(l.status);
-        const next = STATUSES[Math.max(0, Math.min(STATUSES.length - 1, i + dir))];
-        return { ...l, status: next, updatedAt: Date.now() };
+        const moved = syncFollowUp({ ...withStatus(l, status), ...extra, updatedAt: Date.now() }, l.status);
+        return seedOnEntry(moved, l.status, settings.checklists);
       })
     );
+  /**
+   * Moves into Won or Lost first ask for the close date or lost reason;
+   * Clear to Close waits on the checklist. Returns true once moved,
+   * "pending" while the close-out dialog is open and false when refused.
+   */
+  const requestMove = (id, status, extra = {}) => {
+    const lead = live.find((l) => l.id === id);
+    if (!lead) return false;
+    const block = status !== lead.status && status === "Clear to Close" ? clearToCloseBlock(lead, settings.checklists) : "";
+    if (block) {
+      alert(`${lead.name || "This lead"}: ${block}`);
+      return false;
+    }
+    if (status !== lead.status && (status === "Won" || status === "Lost")) {
+      setClosing({ lead, status, extra });
+      return "pending";
+    }
+    applyMove(id, status, extra);
+    return true;
+  };
+  const moveStatus = (id, dir) => {
+    const lead = live.find((l) => l.id === id);
+    if (!lead) return;
+    const i = STATUSES.indexOf(lead.status);
+    requestMove(id, STATUSES[Math.max(0, Math.min(STATUSES.length - 1, i + dir))]);
+  };
+  /** Kanban drop: take the status of the lane and a rank just above beforeId (or the end). */
+  const moveCard = (id, status, beforeId) => {
+    const lane = filtered.filter((l) => l.status === status && l.id !== id).sort(byRank);
+    const at = beforeId ? lane.findIndex((l) => l.id === beforeId) : -1;
+    const idx = at === -1 ? lane.length : at;
+    return requestMove(id, status, { kanbanOrder: rankBetween(lane[idx - 1], lane[idx]) });
   };
 
   /** Derived data */
   const filtered = useMemo(() => {
     const q = query.trim().toLowerCase();
-    return leads
+    return live
       .filter((l) =>
         statusFilter === "All" ? true : (l.status || "New") === statusFilter
       )
       .filter((l) => (sourceFilter === "All" ? true : l.source === sourceFilter))
+      .filter((l) => (dueFilter === "All" ? true : followUpBucket(l, today) === dueFilter))
+      .filter((l) => (prequalFilter === "All" ? true : prequals.get(l.id)?.result === prequalFilter))
       .filter((l) => {
         if (!q) return true;
         return [
@@ -204,61 +315,57 @@ export default function LeadsPage() {
           l.phone,
           l.agent,
           l.propertyAddress,
-          l.notes,
+          activityText(l),
           l.loanType,
+          (l.tags || []).join(" "),
         ]
           .join(" ")
           .toLowerCase()
           .includes(q);
       })
       .sort(SORTS[sortKey]);
-  }, [leads, query, statusFilter, sourceFilter, sortKey]);
+  }, [live, query, statusFilter, sourceFilter, dueFilter, prequalFilter, prequals, sortKey, today]);
 
   const metrics = useMemo(() => {
-    const active = leads.filter((l) => !["Won", "Lost"].includes(l.status));
-    const won = leads.filter((l) => l.status === "Won");
-    const lost = leads.filter((l) => l.status === "Lost");
+    const active = live.filter((l) => !["Won", "Lost"].includes(l.status));
+    const won = live.filter((l) => l.status === "Won");
+    const lost = live.filter((l) => l.status === "Lost");
     const vol = won.reduce((t, l) => t + (Number(l.loanAmount) || 0), 0);
-    const closeRate = leads.length ? Math.round((won.length / leads.length) * 100) : 0;
-    const overdueCount = leads.filter((l) => overdue(l.nextFollowUp)).length;
-    return { active: active.length, won: won.length, lost: lost.length, vol, closeRate, overdueCount };
-  }, [leads]);
+    const closeRate = live.length ? Math.round((won.length / live.length) * 100) : 0;
+    const overdueCount = live.filter((l) => followUpBucket(l, today) === "overdue").length;
+    const dueTodayCount = live.filter((l) => followUpBucket(l, today) === "today").length;
+    const stuckCount = live.filter((l) => isStuck(l, settings.stuckDays)).length;
+    return { active: active.length, won: won.length, lost: lost.length, vol, closeRate, overdueCount, dueTodayCount, stuckCount };
+  }, [live, settings.stuckDays, today]);
+
+  const stageAverages = useMemo(() => averageDaysPerStage(live), [live]);
 
   /** Import/Export */
   const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(leads, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `umm-leads-${toISODate(Date.now())}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(JSON.stringify(live, null, 2), `umm-leads-${today}.json`, "application/json");
+  };
+  const exportCalendar = () => {
+    const upcoming = live.filter((l) => l.nextFollowUp && l.nextFollowUp >= today);
+    if (!upcoming.length) return alert("No upcoming follow-ups to export.");
+    downloadBlob(toICS(upcoming), `umm-follow-ups-${today}.ics`, "text/calendar");
   };
   const importJSON = (e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        if (!Array.isArray(data)) throw new Error("Invalid JSON");
-        // normalize
-        const normalized = data.map((d) => ({
-          ...defaultLead(),
-          ...d,
-          id: d.id || crypto.randomUUID(),
-          createdAt: d.createdAt || Date.now(),
-          updatedAt: Date.now(),
-        }));
-        setLeads(normalized);
-        alert("Import successful!");
-      } catch (err) {
-        alert("Import failed: " + err.message);
-      } finally {
-        fileRef.current.value = "";
-      }
-    };
-    reader.readAsText(file);
+    setJsonFile(e.target.files?.[0] || null);
+    fileRef.current.value = "";
+  };
+  const chooseCSV = (e) => {
+    setCsvFile(e.target.files?.[0] || null);
+    csvRef.current.value = "";
+  };
+  const importCSV = (rows, report) => {
+    const { records, held } = holdClearToClose(rows, leads, settings.checklists);
+    setLeads((prev) => upsertById(prev, records));
+    setCsvFile(null);
+    alert(
+      `Imported ${rows.length} lead(s).` +
+        (report.skipped.length ? ` Skipped ${report.skipped.length} row(s) without a name.` : "") +
+        (held.length ? ` Kept out of Clear to Close until their checklists are cleared: ${held.join(", ")}.` : "")
+    );
   };
 
   return (
@@ -272,12 +379,27 @@ export default function LeadsPage() {
           <h1 style={{ fontSize: 28, fontWeight: 800 }}>
             Ultimate Mortgage CRM
           </h1>
-          <div style={{ display: "flex", gap: 8 }}>
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <button
+              style={{ ...S.btnGhost, opacity: 0.7 }}
+              onClick={sync.retry}
+              title="Sync with server"
+            >
+              {SYNC_LABELS[sync.status]}
+            </button>
             <Link href="/" style={S.btnGhost}>Home</Link>
+            <Link href="/agenda" style={S.btnGhost}>Today</Link>
+            <Link href="/dashboard" style={S.btnGhost}>Dashboard</Link>
+            <Link href="/partners" style={S.btnGhost}>Partners</Link>
+            <Link href="/refi" style={S.btnGhost}>Refi Watch</Link>
+            <Link href="/prequalify" style={S.btnGhost} title="Public lead form for borrowers">Intake form</Link>
             <button style={S.btnGhost} onClick={() => setView(view === "table" ? "kanban" : "table")}>
               View: {view === "table" ? "Kanban" : "Table"}
             </button>
             <button style={S.btnGhost} onClick={exportJSON}>Export JSON</button>
+            <button style={S.btnGhost} onClick={exportCalendar} title="Upcoming follow-ups as an .ics calendar file">
+              Calendar
+            </button>
             <input
               type="file"
               accept="application/json"
@@ -288,12 +410,47 @@ export default function LeadsPage() {
             <button style={S.btn} onClick={() => fileRef.current.click()}>
               Import JSON
             </button>
-            <button style={S.btn} onClick={() => setEditing(defaultLead())}>
+            <input
+              type="file"
+              accept=".csv,.tsv,text/csv,text/tab-separated-values"
+              ref={csvRef}
+              onChange={chooseCSV}
+              style={{ display: "none" }}
+            />
+            <button style={S.btn} onClick={() => csvRef.current.click()}>
+              Import CSV
+            </button>
+            <button style={S.btnGhost} onClick={() => setShowDuplicates(true)}>
+              Duplicates
+            </button>
+            <button style={S.btnGhost} onClick={() => setShowTemplates(true)} title="SMS and email templates">
+              Templates
+            </button>
+            <button style={S.btnGhost} onClick={() => setShowChecklists(true)} title="Document checklist per loan type">
+              Checklists
+            </button>
+            <button style={S.btnGhost} onClick={() => setShowTrash(true)}>
+              Trash{trash.length ? ` (${trash.length})` : ""}
+            </button>
+            <button style={S.btn} onClick={() => setEditing(createLead())}>
               + New Lead
             </button>
           </div>
         </header>
 
+        <StorageErrorBanner message={sync.storageError} onRetry={sync.retrySave} />
+
+        {sync.conflicts.length > 0 && (
+          <div style={{ ...S.card, marginBottom: 16, borderColor: "#f59e0b" }}>
+            {sync.conflicts.map((c) => (
+              <div key={c.id} style={{ color: "#f59e0b" }}>
+                ⚠️ {conflictMessage(c)}
+              </div>
+            ))}
+            <button style={{ ...S.btnGhost, marginTop: 8 }} onClick={sync.dismissConflicts}>Dismiss</button>
+          </div>
+        )}
+
         {/* KPIs */}
         <section style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 12, marginBottom: 16 }}>
           <Kpi label="Active Pipeline" value={metrics.active} />
@@ -310,7 +467,7 @@ export default function LeadsPage() {
               <label>Search</label>
               <input
                 style={S.input}
-                placeholder="Name, email, phone, notes…"
+                placeholder="Name, email, phone, activity…"
                 value={query}
                 onChange={(e) => setQuery(e.target.value)}
               />
@@ -342,42 +499,213 @@ export default function LeadsPage() {
               </select>
             </div>
           </div>
-          <div style={{ marginTop: 12 }}>
-            <label>Sort</label>
-            <select
-              style={S.select}
-              value={sortKey}
-              onChange={(e) => setSortKey(e.target.value)}
-            >
-              {Object.keys(SORTS).map((k) => (
-                <option key={k}>{k}</option>
-              ))}
-            </select>
+          <div style={{ ...S.grid3, marginTop: 12 }}>
+            <div>
+              <label>Sort</label>
+              <select
+                style={S.select}
+                value={sortKey}
+                onChange={(e) => setSortKey(e.target.value)}
+              >
+                {Object.keys(SORTS).map((k) => (
+                  <option key={k}>{k}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>Follow-Up</label>
+              <select style={S.select} value={dueFilter} onChange={(e) => setDueFilter(e.target.value)}>
+                <option>All</option>
+                {Object.entries(FOLLOW_UP_BUCKETS).map(([k, label]) => (
+                  <option key={k} value={k}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label>Pre-Qual</label>
+              <div style={{ display: "flex", gap: 6 }}>
+                <select style={S.select} value={prequalFilter} onChange={(e) => setPrequalFilter(e.target.value)}>
+                  <option>All</option>
+                  {Object.entries(PREQUAL_RESULTS).map(([k, label]) => (
+                    <option key={k} value={k}>{label}</option>
+                  ))}
+                </select>
+                <button style={S.btnGhost} onClick={() => setShowGuidelines(true)} title="Pre-qualification guidelines">
+                  ⚙
+                </button>
+              </div>
+            </div>
           </div>
-          {metrics.overdueCount > 0 && (
+          {(metrics.overdueCount > 0 || metrics.dueTodayCount > 0) && (
+            <p style={{ marginTop: 8, color: "#f59e0b" }}>
+              ⚠️ {metrics.overdueCount} overdue, {metrics.dueTodayCount} due today.{" "}
+              <Link href="/agenda" style={{ textDecoration: "underline" }}>Open today's agenda</Link>
+              {!settings.notifications.enabled && (
+                <>
+                  {" · "}
+                  <Link href="/agenda" style={{ textDecoration: "underline" }}>turn on reminders</Link>
+                </>
+              )}
+            </p>
+          )}
+          {metrics.stuckCount > 0 && (
             <p style={{ marginTop: 8, color: "#f59e0b" }}>
-              ⚠️ {metrics.overdueCount} lead(s) have overdue follow-ups.
+              ⏳ {metrics.stuckCount} lead(s) are stuck past their stage limit.
             </p>
           )}
         </section>
 
+        {/* Time in stage */}
+        <section style={{ ...S.card, marginBottom: 16 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+            <div style={{ display: "flex", gap: 12, flexWrap: "wrap", fontSize: 13 }}>
+              <span style={{ opacity: 0.7 }}>Avg days per stage:</span>
+              {STATUSES.filter((s) => s !== "Won" && s !== "Lost").map((s) => (
+                <span key={s}>
+                  <span style={S.tag(S.statusColors[s])}>{s}</span>{" "}
+                  {stageAverages[s] !== undefined ? stageAverages[s].toFixed(1) : "—"}
+                </span>
+              ))}
+            </div>
+            <button style={S.btnGhost} onClick={() => setShowStageSettings((v) => !v)}>
+              Stuck limits
+            </button>
+          </div>
+          {showStageSettings && (
+            <div style={{ ...S.grid3, gridTemplateColumns: "repeat(5, 1fr)", marginTop: 12 }}>
+              {Object.keys(settings.stuckDays).map((s) => (
+                <Field key={s} label={`${s} (days)`}>
+                  <input
+                    style={S.input}
+                    type="number"
+                    min="0"
+                    value={settings.stuckDays[s]}
+                    onChange={(e) =>
+                      updateSettings({ stuckDays: { ...settings.stuckDays, [s]: Number(e.target.value) || 0 } })
+                    }
+                  />
+                </Field>
+              ))}
+            </div>
+          )}
+        </section>
+
         {/* Content */}
         {view === "table" ? (
           <TableView
             rows={filtered}
+            stuckDays={settings.stuckDays}
+            prequals={prequals}
+            loadError={sync.loadError}
+            templates={settings.templates}
+            onMessageSent={logSent}
             onEdit={(l) => setEditing(l)}
             onRemove={removeLead}
+            onCompleteFollowUp={completeLeadFollowUp}
             moveStatus={moveStatus}
           />
         ) : (
           <KanbanView
             leads={filtered}
+            stuckDays={settings.stuckDays}
             onEdit={(l) => setEditing(l)}
             onRemove={removeLead}
-            moveStatus={moveStatus}
+            onMove={moveCard}
+          />
+        )}
+
+        {closing && (
+          <CloseOutDialog
+            {...closing}
+            onCancel={() => setClosing(null)}
+            onConfirm={(fields) => {
+              applyMove(closing.lead.id, closing.status, { ...closing.extra, ...fields });
+              setClosing(null);
+            }}
+          />
+        )}
+
+        {jsonFile && (
+          <JsonImportDialog
+            file={jsonFile}
+            leads={leads}
+            checklists={settings.checklists}
+            onClose={() => setJsonFile(null)}
+            onApply={applyJsonImport}
+          />
+        )}
+
+        {duplicateCheck && (
+          <DuplicateWarning
+            {...duplicateCheck}
+            onSave={() => {
+              commitLead(duplicateCheck.lead);
+              setDuplicateCheck(null);
+            }}
+            onMerge={(match) => {
+              setMerging([match, duplicateCheck.lead]);
+              setDuplicateCheck(null);
+            }}
+            onCancel={() => setDuplicateCheck(null)}
+          />
+        )}
+
+        {showGuidelines && (
+          <GuidelinesDialog
+            guidelines={settings.guidelines}
+            onChange={(guidelines) => updateSettings({ guidelines })}
+            onClose={() => setShowGuidelines(false)}
+          />
+        )}
+
+        {showTemplates && (
+          <TemplatesDialog
+            templates={settings.templates}
+            onChange={(templates) => updateSettings({ templates })}
+            onClose={() => setShowTemplates(false)}
+          />
+        )}
+
+        {showChecklists && (
+          <ChecklistsDialog
+            checklists={settings.checklists}
+            onChange={(checklists) => updateSettings({ checklists })}
+            onClose={() => setShowChecklists(false)}
+          />
+        )}
+
+        {showDuplicates && (
+          <DuplicatesDialog leads={live} onReview={setMerging} onClose={() => setShowDuplicates(false)} />
+        )}
+
+        {merging && <MergeDialog records={merging} onCancel={() => setMerging(null)} onMerge={applyMerge} />}
+
+        {showTrash && (
+          <TrashDialog
+            leads={trash}
+            retentionDays={settings.trashRetentionDays}
+            onRetentionChange={setRetention}
+            onRestore={(ids) => setLeads((prev) => restoreLeads(prev, ids))}
+            onPurge={(ids) => setLeads((prev) => purgeLeads(prev, ids))}
+            onClose={() => setShowTrash(false)}
           />
         )}
 
+        {undo && (
+          <UndoToast
+            message={undo.message}
+            onUndo={() => {
+              setLeads(undo.revert);
+              setUndo(null);
+            }}
+            onDismiss={dismissUndo}
+          />
+        )}
+
+        {csvFile && (
+          <CsvImportDialog file={csvFile} leads={live} onCancel={() => setCsvFile(null)} onImport={importCSV} />
+        )}
+
         {/* Drawer / Modal-ish editor */}
         {editing && (
           <div
@@ -398,6 +726,9 @@ export default function LeadsPage() {
             >
               <LeadForm
                 initial={editing}
+                guidelines={settings.guidelines}
+                refiPrefs={settings.refi}
+                checklists={settings.checklists}
                 onCancel={() => setEditing(null)}
                 onSave={saveLead}
               />
@@ -421,7 +752,18 @@ function Kpi({ label, value }) {
   );
 }
 
-function TableView({ rows, onEdit, onRemove, moveStatus }) {
+function StageAge({ lead, stuckDays }) {
+  if (lead.status === "Won" || lead.status === "Lost") return null;
+  const stuck = isStuck(lead, stuckDays);
+  return (
+    <div style={{ fontSize: 12, marginTop: 4, color: stuck ? "#f59e0b" : "inherit", opacity: stuck ? 1 : 0.7 }}>
+      {daysInStage(lead)}d in stage{stuck ? " · stuck" : ""}
+    </div>
+  );
+}
+
+function TableView({ rows, stuckDays, prequals, templates, loadError, onMessageSent, onEdit, onRemove, onCompleteFollowUp, moveStatus }) {
+  const today = localToday();
   return (
     <div style={S.card}>
       <div style={{ overflowX: "auto" }}>
@@ -435,6 +777,7 @@ function TableView({ rows, onEdit, onRemove, moveStatus }) {
               <th>Loan</th>
               <th>Amount</th>
               <th>Status</th>
+              <th>Pre-Qual</th>
               <th>Next Follow-Up</th>
               <th>Actions</th>
             </tr>
@@ -449,18 +792,42 @@ function TableView({ rows, onEdit, onRemove, moveStatus }) {
                   </div>
                 </td>
                 <td style={{ fontSize: 14 }}>
-                  <div>{l.phone || "—"}</div>
+                  <div>{formatPhone(l.phone) || "—"}</div>
                   <div style={{ opacity: 0.7 }}>{l.email || "—"}</div>
+                  <MessageMenu
+                    lead={l}
+                    templates={templates}
+                    onSent={(channel, template) => onMessageSent(l.id, channel, template)}
+                    style={{ ...S.input, width: "auto", padding: "2px 6px", fontSize: 12, marginTop: 4 }}
+                  />
+                  <LastActivity lead={l} />
                 </td>
                 <td>{l.source}</td>
                 <td>{l.agent || "—"}</td>
                 <td>{l.loanType}</td>
-                <td>{fmtMoney(l.loanAmount)}</td>
+                <td>
+                  <div>{fmtMoney(l.loanAmount)}</div>
+                  <PaymentHint lead={l} />
+                </td>
                 <td>
                   <span style={S.tag(S.statusColors[l.status])}>{l.status}</span>
+                  <StageAge lead={l} stuckDays={stuckDays} />
+                  <ChecklistMeter lead={l} />
+                </td>
+                <td>
+                  <PrequalBadge prequal={prequals.get(l.id)} />
                 </td>
-                <td style={{ color: overdue(l.nextFollowUp) ? "#f59e0b" : "inherit" }}>
+                <td style={{ color: followUpColor(l, today) }}>
                   {l.nextFollowUp || "—"}
+                  {!!l.nextFollowUp && (
+                    <button
+                      style={{ ...S.btnGhost, padding: "2px 8px", marginLeft: 6 }}
+                      title={l.followUpPlan ? `Done: ${describePlan(l.followUpPlan)}` : "Done"}
+                      onClick={() => onCompleteFollowUp(l.id)}
+                    >
+                      ✓
+                    </button>
+                  )}
                 </td>
                 <td style={{ display: "flex", gap: 6, alignItems: "center" }}>
                   <button style={S.btnGhost} onClick={() => moveStatus(l.id, -1)}>◀</button>
@@ -475,8 +842,8 @@ function TableView({ rows, onEdit, onRemove, moveStatus }) {
             ))}
             {rows.length === 0 && (
               <tr>
-                <td colSpan={9} style={{ padding: 24, opacity: 0.7 }}>
-                  No leads match your filters yet.
+                <td colSpan={10} style={{ padding: 24, opacity: 0.7 }}>
+                  {loadError || "No leads match your filters yet."}
                 </td>
               </tr>
             )}
@@ -487,74 +854,457 @@ function TableView({ rows, onEdit, onRemove, moveStatus }) {
   );
 }
 
-function KanbanView({ leads, onEdit, onRemove, moveStatus }) {
+const CLOSED = ["Won", "Lost"];
+
+/**
+ * Drag cards by their ⠿ handle with mouse or touch (pointer events), or
+ * focus the handle and use Space to pick up, arrows to move, Space to drop
+ * and Escape to cancel. onMove(id, status, beforeId) gets the drop target
+ * and returns true, false (refused) or "pending" (waiting on a dialog).
+ */
+function KanbanView({ leads, stuckDays, onEdit, onRemove, onMove }) {
+  const [collapsed, setCollapsed] = useState({ Won: true, Lost: true });
+  const [drag, setDrag] = useState(null); // { id, status, index, x, y, keyboard }
+  const [announce, setAnnounce] = useState("");
+  const today = localToday();
+
+  const lanes = useMemo(
+    () =>
+      Object.fromEntries(
+        STATUSES.map((s) => [s, leads.filter((l) => l.status === s).sort(byRank)])
+      ),
+    [leads]
+  );
+  const dragged = drag && leads.find((l) => l.id === drag.id);
+
+  /** Lane cards minus the one being dragged: the list a drop index refers to. */
+  const targets = (status) => lanes[status].filter((l) => l.id !== drag?.id);
+
+  const finish = (target) => {
+    setDrag(null);
+    if (!target || !dragged) return;
+    if (target.status === dragged.status && target.index === lanes[dragged.status].indexOf(dragged)) return;
+    const before = targets(target.status)[target.index] || null;
+    const name = dragged.name || "Lead";
+    const moved = onMove(dragged.id, target.status, before?.id || null);
+    if (moved === "pending") setAnnounce(`Confirm the details to move ${name} to ${target.status}.`);
+    else if (moved) setAnnounce(`${name} moved to ${target.status}.`);
+    else setAnnounce(`${name} stays in ${dragged.status}.`);
+  };
+
+  /** Which lane/index sits under the pointer. */
+  const hitTest = (x, y) => {
+    const el = document.elementFromPoint(x, y);
+    const laneEl = el?.closest("[data-lane]");
+    if (!laneEl) return null;
+    const status = laneEl.getAttribute("data-lane");
+    const cards = Array.from(laneEl.querySelectorAll("[data-card]")).filter(
+      (c) => c.getAttribute("data-card") !== drag?.id
+    );
+    const index = cards.findIndex((c) => {
+      const r = c.getBoundingClientRect();
+      return y < r.top + r.height / 2;
+    });
+    return { status, index: index === -1 ? cards.length : index };
+  };
+
+  // the window listeners below live for the whole drag, so they call this render's helpers through a ref
+  const latest = useRef(null);
+  latest.current = { finish, hitTest };
+  const pointerDrag = !!drag && !drag.keyboard;
+
+  useEffect(() => {
+    if (!pointerDrag) return;
+    const move = (e) => {
+      const hit = latest.current.hitTest(e.clientX, e.clientY);
+      setDrag((d) => d && { ...d, x: e.clientX, y: e.clientY, ...(hit || { status: null }) });
+    };
+    const up = (e) => latest.current.finish(latest.current.hitTest(e.clientX, e.clientY));
+    const cancel = () => setDrag(null);
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+    window.addEventListener("pointercancel", cancel);
+    return () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+      window.removeEventListener("pointercancel", cancel);
+    };
+  }, [pointerDrag]);
+
+  const startPointer = (e, l) => {
+    if (e.button !== undefined && e.button !== 0) return;
+    e.preventDefault();
+    setDrag({ id: l.id, status: l.status, index: lanes[l.status].indexOf(l), x: e.clientX, y: e.clientY, keyboard: false });
+  };
+
+  const onHandleKey = (e, l) => {
+    const key = e.key;
+    if (!drag || drag.id !== l.id) {
+      if (key === " " || key === "Enter") {
+        e.preventDefault();
+        const index = lanes[l.status].indexOf(l);
+        setDrag({ id: l.id, status: l.status, index, keyboard: true });
+        setAnnounce(`Picked up ${l.name || "lead"}. Arrow keys move, Space drops, Escape cancels.`);
+      }
+      return;
+    }
+    e.preventDefault();
+    if (key === "Escape") {
+      setDrag(null);
+      setAnnounce("Move cancelled.");
+      return;
+    }
+    if (key === " " || key === "Enter") return finish(drag);
+    let { status, index } = drag;
+    const col = STATUSES.indexOf(status);
+    if (key === "ArrowLeft" && col > 0) status = STATUSES[col - 1];
+    if (key === "ArrowRight" && col < STATUSES.length - 1) status = STATUSES[col + 1];
+    if (key === "ArrowUp") index -= 1;
+    if (key === "ArrowDown") index += 1;
+    const size = targets(status).length;
+    index = Math.max(0, Math.min(size, index));
+    setDrag({ ...drag, status, index });
+    setAnnounce(`${status}, position ${index + 1} of ${size + 1}.`);
+  };
+
+  const columns = STATUSES.map((s) => (collapsed[s] ? "56px" : "minmax(220px, 1fr)")).join(" ");
+
   return (
-    <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 12 }}>
-      {STATUSES.filter((s) => s !== "Won" && s !== "Lost").map((status) => {
-        const col = leads.filter((l) => l.status === status);
-        return (
-          <div key={status} style={S.card}>
-            <div style={{ marginBottom: 8, fontWeight: 700 }}>
-              <span style={S.tag(S.statusColors[status])}>{status}</span>
-              <span style={{ marginLeft: 8, opacity: 0.7 }}>{col.length}</span>
-            </div>
-            <div style={{ display: "grid", gap: 8 }}>
-              {col.map((l) => (
-                <div key={l.id} style={{ ...S.card, background: "#0b1020" }}>
-                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
-                    <div>
-                      <div style={{ fontWeight: 700 }}>{l.name || "—"}</div>
-                      <div style={{ fontSize: 12, opacity: 0.7 }}>
-                        {l.phone || "—"} · {l.email || "—"}
+    <div style={{ overflowX: "auto" }}>
+      <div aria-live="polite" style={{ position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)" }}>
+        {announce}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: columns, gap: 12, minWidth: "min-content" }}>
+        {STATUSES.map((status) => {
+          const col = lanes[status];
+          const isTarget = drag && drag.status === status;
+          const vol = laneVolume(col);
+          if (collapsed[status]) {
+            return (
+              <div
+                key={status}
+                data-lane={status}
+                style={{ ...S.card, padding: 8, textAlign: "center", cursor: "pointer", outline: isTarget ? "2px solid #4f46e5" : "none" }}
+                onClick={() => setCollapsed((c) => ({ ...c, [status]: false }))}
+                title={`Show ${status}`}
+              >
+                <div style={{ writingMode: "vertical-rl", margin: "0 auto", display: "flex", gap: 8, alignItems: "center" }}>
+                  <span style={S.tag(S.statusColors[status])}>{status}</span>
+                  <span style={{ opacity: 0.7 }}>{col.length}</span>
+                  {vol > 0 && <span style={{ fontSize: 12, opacity: 0.7 }}>{fmtMoney(vol)}</span>}
+                </div>
+              </div>
+            );
+          }
+          // the dragged card stays in place (dimmed); marker positions count the others
+          let slot = 0;
+          return (
+            <div
+              key={status}
+              data-lane={status}
+              style={{ ...S.card, outline: isTarget ? "2px solid #4f46e5" : "none" }}
+            >
+              <div style={{ marginBottom: 8, fontWeight: 700, display: "flex", alignItems: "center", gap: 8 }}>
+                <span style={S.tag(S.statusColors[status])}>{status}</span>
+                <span style={{ opacity: 0.7 }}>{col.length}</span>
+                <span style={{ marginLeft: "auto", fontSize: 12, opacity: 0.7 }}>{fmtMoney(vol) || "$0"}</span>
+                {CLOSED.includes(status) && (
+                  <button
+                    style={{ ...S.btnGhost, padding: "2px 8px" }}
+                    onClick={() => setCollapsed((c) => ({ ...c, [status]: true }))}
+                    aria-label={`Collapse ${status}`}
+                  >
+                    –
+                  </button>
+                )}
+              </div>
+              <div style={{ display: "grid", gap: 8 }}>
+                {col.map((l) => {
+                  const marker = isTarget && l.id !== drag.id && drag.index === slot;
+                  if (l.id !== drag?.id) slot += 1;
+                  return (
+                    <div key={l.id}>
+                      {marker && <DropMarker />}
+                      <div
+                        data-card={l.id}
+                        style={{ ...S.card, background: "#0b1020", opacity: drag?.id === l.id ? 0.4 : 1 }}
+                      >
+                        <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                          <div style={{ display: "flex", gap: 8 }}>
+                            <button
+                              style={{ ...S.btnGhost, padding: "0 6px", cursor: "grab", touchAction: "none", alignSelf: "start" }}
+                              aria-label={`Move ${l.name || "lead"}`}
+                              aria-pressed={drag?.id === l.id}
+                              onPointerDown={(e) => startPointer(e, l)}
+                              onKeyDown={(e) => onHandleKey(e, l)}
+                              onBlur={() => drag?.keyboard && drag.id === l.id && setDrag(null)}
+                            >
+                              ⠿
+                            </button>
+                            <div>
+                              <div style={{ fontWeight: 700 }}>{l.name || "—"}</div>
+                              <div style={{ fontSize: 12, opacity: 0.7 }}>
+                                {formatPhone(l.phone) || "—"} · {l.email || "—"}
+                              </div>
+                            </div>
+                          </div>
+                          <div style={{ fontSize: 12, textAlign: "right" }}>
+                            <div>{fmtMoney(l.loanAmount)}</div>
+                            <PaymentHint lead={l} />
+                          </div>
+                        </div>
+                        {!!l.nextFollowUp && (
+                          <div
+                            style={{
+                              marginTop: 6,
+                              fontSize: 12,
+                              color: followUpColor(l, today),
+                            }}
+                          >
+                            Next: {l.nextFollowUp}
+                          </div>
+                        )}
+                        {status === "Won" && l.closeDate && (
+                          <div style={{ marginTop: 6, fontSize: 12, opacity: 0.7 }}>Closed {l.closeDate}</div>
+                        )}
+                        {status === "Lost" && l.lostReason && (
+                          <div style={{ marginTop: 6, fontSize: 12, opacity: 0.7 }}>{l.lostReason}</div>
+                        )}
+                        <StageAge lead={l} stuckDays={stuckDays} />
+                        <ChecklistMeter lead={l} />
+                        <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
+                          <button style={S.btnGhost} onClick={() => onEdit(l)}>Edit</button>
+                          <button style={{ ...S.btnGhost, borderColor: "#ef4444", color: "#ef4444" }}
+                            onClick={() => onRemove(l.id)}>
+                            Delete
+                          </button>
+                        </div>
                       </div>
                     </div>
-                    <div style={{ fontSize: 12 }}>{fmtMoney(l.loanAmount)}</div>
-                  </div>
-                  {!!l.nextFollowUp && (
-                    <div
-                      style={{
-                        marginTop: 6,
-                        fontSize: 12,
-                        color: overdue(l.nextFollowUp) ? "#f59e0b" : "inherit",
-                      }}
-                    >
-                      Next: {l.nextFollowUp}
-                    </div>
-                  )}
-                  <div style={{ display: "flex", gap: 6, marginTop: 8 }}>
-                    <button style={S.btnGhost} onClick={() => moveStatus(l.id, -1)}>◀</button>
-                    <button style={S.btnGhost} onClick={() => onEdit(l)}>Edit</button>
-                    <button style={{ ...S.btnGhost, borderColor: "#ef4444", color: "#ef4444" }}
-                      onClick={() => onRemove(l.id)}>
-                      Delete
-                    </button>
-                    <button style={S.btnGhost} onClick={() => moveStatus(l.id, +1)}>▶</button>
-                  </div>
-                </div>
-              ))}
-              {col.length === 0 && (
-                <div style={{ opacity: 0.5, fontSize: 12 }}>No cards</div>
-              )}
+                  );
+                })}
+                {isTarget && drag.index >= slot && <DropMarker />}
+                {col.length === 0 && !isTarget && (
+                  <div style={{ opacity: 0.5, fontSize: 12 }}>No cards</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {dragged && !drag.keyboard && drag.x !== undefined && (
+        <div
+          style={{
+            ...S.card,
+            position: "fixed",
+            left: drag.x + 8,
+            top: drag.y + 8,
+            pointerEvents: "none",
+            padding: "6px 10px",
+            zIndex: 60,
+            fontWeight: 700,
+          }}
+        >
+          {dragged.name || "Lead"}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Shown instead of saving when the lead looks like one already in the pipeline. */
+function DuplicateWarning({ lead, matches, onSave, onMerge, onCancel }) {
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,.6)", display: "grid", placeItems: "center", padding: 16, zIndex: 55 }}
+      onClick={onCancel}
+    >
+      <div onClick={(e) => e.stopPropagation()} style={{ ...S.card, width: "min(520px, 95vw)", display: "grid", gap: 12 }}>
+        <h3 style={{ fontSize: 18, fontWeight: 700 }}>{lead.name || "This lead"} may already be in the pipeline</h3>
+        {matches.map(({ lead: m, reasons }) => (
+          <div key={m.id} style={{ display: "flex", gap: 12, alignItems: "center", borderTop: "1px solid #1f2937", paddingTop: 8 }}>
+            <div style={{ flex: 1 }}>
+              <b>{m.name}</b> <span style={{ opacity: 0.7, fontSize: 12 }}>{m.status}</span>
+              <div style={{ fontSize: 12, color: "#f59e0b" }}>{reasons.join(", ")}</div>
             </div>
+            <button style={S.btn} onClick={() => onMerge(m)}>Merge…</button>
           </div>
-        );
-      })}
+        ))}
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button style={S.btnGhost} onClick={onCancel}>Keep editing</button>
+          <button style={S.btnGhost} onClick={onSave}>Save as a separate lead</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/** Cadence picker: none, every N days until a stage, or per-stage drip gaps. */
+function FollowUpPlanField({ plan, onChange }) {
+  const type = plan?.type || "none";
+  const open = STATUSES.filter((s) => s !== "Won" && s !== "Lost");
+  const pick = (t) => {
+    if (t === "interval") onChange({ type: "interval", everyDays: 3, untilStatus: "Pre-Approved" });
+    else if (t === "stage") onChange({ type: "stage", days: { ...DEFAULT_DRIP } });
+    else onChange(null);
+  };
+  return (
+    <Field label="Follow-Up Cadence" full>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <select style={{ ...S.select, width: "auto" }} value={type} onChange={(e) => pick(e.target.value)}>
+          <option value="none">None (one-off date)</option>
+          <option value="interval">Every N days until a stage</option>
+          <option value="stage">Stage-based drip</option>
+        </select>
+        {type === "interval" && (
+          <>
+            every
+            <input
+              style={{ ...S.input, width: 70 }}
+              type="number"
+              min="1"
+              value={plan.everyDays}
+              onChange={(e) => onChange({ ...plan, everyDays: Math.max(1, Number(e.target.value) || 1) })}
+            />
+            day(s) until
+            <select style={{ ...S.select, width: "auto" }} value={plan.untilStatus} onChange={(e) => onChange({ ...plan, untilStatus: e.target.value })}>
+              {STATUSES.filter((s) => s !== "New").map((s) => <option key={s}>{s}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+      {type === "stage" && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 8, marginTop: 8 }}>
+          {open.map((s) => (
+            <div key={s} style={{ fontSize: 12 }}>
+              {s} (days)
+              <input
+                style={S.input}
+                type="number"
+                min="0"
+                value={plan.days[s] || ""}
+                placeholder="off"
+                onChange={(e) => onChange({ ...plan, days: { ...plan.days, [s]: Number(e.target.value) || 0 } })}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+      {plan && (
+        <div style={{ fontSize: 12, opacity: 0.7, marginTop: 4 }}>
+          Marking a follow-up done books the next one automatically.
+        </div>
+      )}
+    </Field>
+  );
+}
+
+function CloseOutDialog({ lead, status, onCancel, onConfirm }) {
+  const [closeDate, setCloseDate] = useState(lead.closeDate || localToday());
+  const [reason, setReason] = useState(lead.lostReason || LOST_REASONS[0]);
+  const submit = (e) => {
+    e.preventDefault();
+    if (status === "Won") {
+      if (!closeDate) return;
+      onConfirm({ closeDate });
+    } else {
+      onConfirm({ lostReason: reason });
+    }
+  };
+  return (
+    <div
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,.6)", display: "grid", placeItems: "center", padding: 16, zIndex: 55 }}
+      onClick={onCancel}
+    >
+      <form
+        onSubmit={submit}
+        onClick={(e) => e.stopPropagation()}
+        style={{ ...S.card, width: "min(420px, 95vw)", display: "grid", gap: 12 }}
+      >
+        <h3 style={{ fontSize: 18, fontWeight: 700 }}>
+          Mark {lead.name || "lead"} as {status}
+        </h3>
+        {status === "Won" ? (
+          <Field label="Close Date">
+            <input type="date" required autoFocus style={S.input} value={closeDate} onChange={(e) => setCloseDate(e.target.value)} />
+          </Field>
+        ) : (
+          <Field label="Lost Reason">
+            <select autoFocus style={S.select} value={reason} onChange={(e) => setReason(e.target.value)}>
+              {LOST_REASONS.map((r) => <option key={r}>{r}</option>)}
+            </select>
+          </Field>
+        )}
+        <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+          <button type="button" style={S.btnGhost} onClick={onCancel}>Cancel</button>
+          <button type="submit" style={S.btn}>Mark {status}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function DropMarker() {
+  return <div style={{ height: 4, borderRadius: 2, background: "#4f46e5", margin: "2px 0" }} />;
+}
+
+/** Picks a partner record; a name typed before partners existed shows until it is replaced. */
+function PartnerPicker({ lead, onChange }) {
+  const [partners, setPartners] = usePartners();
+  const sorted = useMemo(() => [...partners].sort(byName), [partners]);
+  const value = lead.partnerId || (lead.agent ? "__text" : "");
+
+  const pick = (id) => {
+    if (id === "__text" || id === lead.partnerId) return;
+    const partner = partners.find((p) => p.id === id);
+    onChange(partner ? linkPartner(lead, partner) : { ...lead, partnerId: "", agent: "" });
+  };
+  const addNew = () => {
+    const name = prompt("New partner's name", lead.partnerId ? "" : lead.agent)?.trim();
+    if (!name) return;
+    const partner = normalizePartner({ name });
+    setPartners((prev) => [...prev, partner]);
+    onChange(linkPartner(lead, partner));
+  };
+
+  return (
+    <div style={{ display: "flex", gap: 6 }}>
+      <select style={S.select} value={value} onChange={(e) => pick(e.target.value)}>
+        <option value="">None</option>
+        {value === "__text" && <option value="__text">{lead.agent} (not linked)</option>}
+        {lead.partnerId && !partners.some((p) => p.id === lead.partnerId) && (
+          <option value={lead.partnerId}>{lead.agent || "Unknown partner"} (not on this device)</option>
+        )}
+        {sorted.map((p) => (
+          <option key={p.id} value={p.id}>{p.brokerage ? `${p.name} · ${p.brokerage}` : p.name}</option>
+        ))}
+      </select>
+      <button type="button" style={S.btnGhost} title="Add a partner" onClick={addNew}>+</button>
     </div>
   );
 }
 
-function LeadForm({ initial, onCancel, onSave }) {
-  const [lead, setLead] = useState(initial || defaultLead());
-  useEffect(() => setLead(initial || defaultLead()), [initial]);
+function LeadForm({ initial, guidelines, refiPrefs, checklists, onCancel, onSave }) {
+  const [lead, setLead] = useState(initial || createLead());
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
+  const [checked, setChecked] = useState(false);
+  useEffect(() => {
+    setLead(initial || createLead());
+    setChecked(false);
+  }, [initial]);
 
   const isWon = lead.status === "Won";
+  // messages appear after the first save attempt, then track each edit
+  const errors = checked ? validateLead(lead, initial, checklists) : {};
 
   const update = (k, v) => setLead((p) => ({ ...p, [k]: v }));
+  const updateExisting = (k, v) => update("existingLoan", { ...lead.existingLoan, [k]: v });
 
   const submit = (e) => {
     e.preventDefault();
-    if (!lead.name) return alert("Please enter a name.");
-    if (isWon && !lead.closeDate) update("closeDate", toISODate(Date.now()));
+    setChecked(true);
+    if (Object.keys(validateLead(lead, initial, checklists)).length) return;
     onSave({ ...lead, updatedAt: Date.now() });
   };
 
@@ -568,29 +1318,35 @@ function LeadForm({ initial, onCancel, onSave }) {
       </div>
 
       <div style={S.grid2}>
-        <Field label="Name">
+        <Field label="Name" error={errors.name}>
           <input style={S.input} value={lead.name} onChange={(e) => update("name", e.target.value)} />
         </Field>
-        <Field label="Phone">
+        <Field label="Phone" error={errors.phone}>
           <input style={S.input} value={lead.phone} onChange={(e) => update("phone", e.target.value)} />
         </Field>
-        <Field label="Email">
+        <Field label="Email" error={errors.email}>
           <input style={S.input} value={lead.email} onChange={(e) => update("email", e.target.value)} />
         </Field>
         <Field label="Source">
           <select style={S.select} value={lead.source} onChange={(e) => update("source", e.target.value)}>
             {SOURCES.map((s) => <option key={s}>{s}</option>)}
+            {lead.source && !SOURCES.includes(lead.source) && <option>{lead.source}</option>}
           </select>
+          {lead.consentAt && (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              Agreed to be contacted {new Date(lead.consentAt).toLocaleString()}
+            </div>
+          )}
         </Field>
         <Field label="Partner / Realtor">
-          <input style={S.input} value={lead.agent} onChange={(e) => update("agent", e.target.value)} />
+          <PartnerPicker lead={lead} onChange={setLead} />
         </Field>
         <Field label="Loan Type">
           <select style={S.select} value={lead.loanType} onChange={(e) => update("loanType", e.target.value)}>
             {LOAN_TYPES.map((t) => <option key={t}>{t}</option>)}
           </select>
         </Field>
-        <Field label="Loan Amount">
+        <Field label="Loan Amount" error={errors.loanAmount} hint={loanAmountNote(lead.loanType)}>
           <input
             style={S.input}
             inputMode="decimal"
@@ -599,7 +1355,77 @@ function LeadForm({ initial, onCancel, onSave }) {
             placeholder="400000"
           />
         </Field>
-        <Field label="Status">
+        <Field label="Purchase Price">
+          <input
+            style={S.input}
+            inputMode="decimal"
+            value={lead.purchasePrice}
+            onChange={(e) => update("purchasePrice", e.target.value)}
+            placeholder="500000"
+          />
+        </Field>
+        <Field label="Interest Rate (%)">
+          <input
+            style={S.input}
+            inputMode="decimal"
+            value={lead.interestRate}
+            onChange={(e) => update("interestRate", e.target.value)}
+            placeholder="6.75"
+          />
+        </Field>
+        <Field label="Term">
+          <select style={S.select} value={lead.termYears || 30} onChange={(e) => update("termYears", Number(e.target.value))}>
+            {TERM_OPTIONS.map((t) => <option key={t} value={t}>{t} years</option>)}
+          </select>
+        </Field>
+        <Field label="Property Tax ($/yr)">
+          <input style={S.input} inputMode="decimal" value={lead.propertyTax} onChange={(e) => update("propertyTax", e.target.value)} placeholder="Estimated" />
+        </Field>
+        <Field label="Homeowners Insurance ($/yr)">
+          <input style={S.input} inputMode="decimal" value={lead.homeInsurance} onChange={(e) => update("homeInsurance", e.target.value)} placeholder="Estimated" />
+        </Field>
+        <Field label="HOA ($/mo)">
+          <input style={S.input} inputMode="decimal" value={lead.hoaDues} onChange={(e) => update("hoaDues", e.target.value)} placeholder="0" />
+        </Field>
+        <Field label="Down Payment">
+          <input style={S.input} inputMode="decimal" value={lead.downPayment} onChange={(e) => update("downPayment", e.target.value)} placeholder="100000" />
+        </Field>
+        <Field label="Gross Monthly Income">
+          <input style={S.input} inputMode="decimal" value={lead.monthlyIncome} onChange={(e) => update("monthlyIncome", e.target.value)} placeholder="9000" />
+        </Field>
+        <Field label="Monthly Debt Payments">
+          <input style={S.input} inputMode="decimal" value={lead.monthlyDebts} onChange={(e) => update("monthlyDebts", e.target.value)} placeholder="Car, cards, student loans" />
+        </Field>
+        <Field label="Credit">
+          <select style={S.select} value={lead.creditTier} onChange={(e) => update("creditTier", e.target.value)}>
+            <option value="">Unknown</option>
+            {Object.entries(CREDIT_TIERS).map(([k, t]) => <option key={k} value={k}>{t.label}</option>)}
+          </select>
+        </Field>
+        {lead.loanType === "VA" && (
+          <Field label="VA Funding Fee">
+            <select style={S.select} value={lead.vaUse || "first"} onChange={(e) => update("vaUse", e.target.value)}>
+              {Object.entries(VA_USE).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </Field>
+        )}
+        <div style={{ gridColumn: "1 / -1", display: "grid", gap: 8 }}>
+          <PrequalSummary lead={lead} guidelines={guidelines} />
+          <PaymentBreakdown lead={lead} />
+          <div style={{ display: "flex", gap: 8 }}>
+            <button type="button" style={S.btnGhost} onClick={() => setShowSchedule((v) => !v)}>
+              {showSchedule ? "Hide amortization" : "Amortization schedule"}
+            </button>
+            <button type="button" style={S.btnGhost} onClick={() => setShowScenarios((v) => !v)}>
+              {showScenarios ? "Hide scenarios" : `Compare scenarios${lead.scenarios?.length ? ` (${lead.scenarios.length})` : ""}`}
+            </button>
+          </div>
+          {showSchedule && (
+            <AmortizationView key={`${lead.interestRate}|${lead.termYears}`} lead={lead} />
+          )}
+          {showScenarios && <ScenarioCompare lead={lead} onChange={(list) => update("scenarios", list)} />}
+        </div>
+        <Field label="Status" error={errors.status}>
           <select style={S.select} value={lead.status} onChange={(e) => update("status", e.target.value)}>
             {STATUSES.map((s) => <option key={s}>{s}</option>)}
           </select>
@@ -607,17 +1433,82 @@ function LeadForm({ initial, onCancel, onSave }) {
         <Field label="Property Address" full>
           <input style={S.input} value={lead.propertyAddress} onChange={(e) => update("propertyAddress", e.target.value)} />
         </Field>
+        <Field label="Tags">
+          <input
+            style={S.input}
+            value={Array.isArray(lead.tags) ? lead.tags.join(", ") : lead.tags}
+            onChange={(e) => update("tags", e.target.value)}
+            placeholder="first-time buyer, VA"
+          />
+        </Field>
         <Field label="Next Follow-Up">
-          <input type="date" style={S.input} value={lead.nextFollowUp || ""} onChange={(e) => update("nextFollowUp", e.target.value)} />
+          <div style={{ display: "flex", gap: 6 }}>
+            <input type="date" style={S.input} value={lead.nextFollowUp || ""} onChange={(e) => update("nextFollowUp", e.target.value)} />
+            {!!lead.nextFollowUp && (
+              <button
+                type="button"
+                style={S.btnGhost}
+                title="Add to calendar (.ics)"
+                onClick={() =>
+                  downloadBlob(toICS([lead]), `umm-follow-up-${slug(lead.name)}-${lead.nextFollowUp}.ics`, "text/calendar")
+                }
+              >
+                📅
+              </button>
+            )}
+          </div>
+          {lead.lastFollowUp && (
+            <div style={{ fontSize: 12, opacity: 0.7, marginTop: 4 }}>Last done {lead.lastFollowUp}</div>
+          )}
         </Field>
+        <FollowUpPlanField plan={lead.followUpPlan} onChange={(p) => update("followUpPlan", p)} />
         {isWon && (
-          <Field label="Close Date">
+          <Field label="Close Date" error={errors.closeDate}>
             <input type="date" style={S.input} value={lead.closeDate || ""} onChange={(e) => update("closeDate", e.target.value)} />
           </Field>
         )}
-        <Field label="Notes" full>
-          <textarea style={{ ...S.input, minHeight: 100 }} value={lead.notes} onChange={(e) => update("notes", e.target.value)} />
-        </Field>
+        {lead.status === "Lost" && (
+          <Field label="Lost Reason">
+            <select style={S.select} value={lead.lostReason || ""} onChange={(e) => update("lostReason", e.target.value)}>
+              <option value="">—</option>
+              {LOST_REASONS.map((r) => <option key={r}>{r}</option>)}
+            </select>
+          </Field>
+        )}
+        {isPastClient(lead) && (
+          <>
+            <Field label="Current Rate (%)">
+              <input style={S.input} inputMode="decimal" value={lead.existingLoan?.rate ?? ""} onChange={(e) => updateExisting("rate", e.target.value)} placeholder={String(lead.interestRate || "")} />
+            </Field>
+            <Field label="Current Balance">
+              <input style={S.input} inputMode="decimal" value={lead.existingLoan?.balance ?? ""} onChange={(e) => updateExisting("balance", e.target.value)} placeholder="From the closed loan" />
+            </Field>
+            <Field label="Months Remaining">
+              <input style={S.input} inputMode="numeric" value={lead.existingLoan?.remainingMonths ?? ""} onChange={(e) => updateExisting("remainingMonths", e.target.value)} placeholder="From the close date" />
+            </Field>
+            <RefiHint lead={lead} prefs={refiPrefs} />
+          </>
+        )}
+        {lead.statusHistory?.length > 0 && (
+          <Field label="Status Timeline" full>
+            <StatusTimeline lead={lead} />
+          </Field>
+        )}
+        {(lead.checklist?.length > 0 || CHECKLIST_STAGES.includes(lead.status)) && (
+          <div style={{ display: "grid", gap: 6, gridColumn: "1 / -1" }}>
+            <span style={{ fontSize: 12, opacity: 0.8 }}>Documents & Conditions</span>
+            <ChecklistEditor
+              items={lead.checklist || []}
+              loanType={lead.loanType}
+              onChange={(items) => update("checklist", items)}
+              onSeed={() => setLead((p) => seedChecklist(p, checklists))}
+            />
+          </div>
+        )}
+        <div style={{ display: "grid", gap: 6, gridColumn: "1 / -1" }}>
+          <span style={{ fontSize: 12, opacity: 0.8 }}>Activity (saved with the lead)</span>
+          <ActivityLog activities={lead.activities || []} onAdd={(entry) => setLead((p) => addActivity(p, entry))} />
+        </div>
       </div>
 
       <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
@@ -628,11 +1519,145 @@ function LeadForm({ initial, onCancel, onSave }) {
   );
 }
 
-function Field({ label, children, full = false }) {
+function PrequalBadge({ prequal }) {
+  if (!prequal) return null;
+  const title = prequal.checks.map((c) => `${c.label}: ${c.detail}`).join("\n");
+  return (
+    <span style={S.tag(PREQUAL_COLORS[prequal.result])} title={title || "Add income, credit, loan and price"}>
+      {PREQUAL_RESULTS[prequal.result]}
+    </span>
+  );
+}
+
+/** Pass/warn/fail per check while the form is edited; uses the unsaved values. */
+function PrequalSummary({ lead, guidelines }) {
+  const prequal = prequalify(normalizeLead(lead), guidelines);
+  return (
+    <div style={{ border: "1px solid #1f2937", borderRadius: 8, padding: 10, fontSize: 13, display: "grid", gap: 4 }}>
+      <div>
+        <strong>Pre-qualification</strong> <PrequalBadge prequal={prequal} />
+      </div>
+      {prequal.checks.map((c) => (
+        <div key={c.key}>
+          <span style={{ color: PREQUAL_COLORS[c.result] }}>●</span> {c.label}: {c.detail}
+        </div>
+      ))}
+      {prequal.result === "incomplete" && (
+        <div style={{ opacity: 0.7 }}>Add income, credit, loan amount and price or down payment for a full check.</div>
+      )}
+    </div>
+  );
+}
+
+/** One-line refinance check for a past client at the rate set on Refi Watch. */
+function RefiHint({ lead, prefs }) {
+  const a = analyzeRefi(normalizeLead(lead), prefs, localToday());
+  let text = "Add the current rate and balance, or a close date, to check a refinance.";
+  if (a && a.breakevenMonths === null) text = `No savings refinancing at ${a.newRate}%.`;
+  else if (a) {
+    text = `Refi at ${a.newRate}%: ${fmtMonthly(a.newPayment)}, saves ${fmtMonthly(a.savings)}; ` +
+      `${fmtMoney(Math.round(a.closingCosts))} costs break even in ${a.breakevenMonths} months.`;
+  }
+  return <div style={{ fontSize: 12, opacity: 0.8, alignSelf: "end" }}>{text}</div>;
+}
+
+function StatusTimeline({ lead }) {
+  return (
+    <ol style={{ margin: 0, paddingLeft: 18, display: "grid", gap: 4, fontSize: 13 }}>
+      {stints(lead).slice().reverse().map((s, i) => (
+        <li key={`${s.status}-${s.at}-${i}`}>
+          <span style={S.tag(S.statusColors[s.status])}>{s.status}</span>{" "}
+          {new Date(s.at).toLocaleString()}
+          {s.inferred && <span style={{ opacity: 0.6 }}> (approx.)</span>}
+          <span style={{ opacity: 0.7 }}>
+            {" "}· {s.days < 1 ? "<1" : Math.floor(s.days)} day(s){s.to === null ? " so far" : ""}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function PaymentHint({ lead }) {
+  const p = leadPayment(lead);
+  if (!p) return null;
+  return (
+    <div style={{ fontSize: 12, opacity: 0.7 }} title={p.notes.join(" · ")}>
+      ≈ {fmtMonthly(p.total)}
+    </div>
+  );
+}
+
+function PaymentBreakdown({ lead }) {
+  const p = leadPayment(lead);
+  if (!p) {
+    return <div style={{ fontSize: 12, opacity: 0.7 }}>Enter a loan amount to estimate the monthly payment.</div>;
+  }
+  const fees = feeLabels(lead.loanType);
+  const rows = [
+    ["Principal & interest", p.principalAndInterest],
+    [fees.monthly || "Mortgage insurance", p.mortgageInsurance],
+    ["Property tax", p.propertyTax],
+    ["Homeowners insurance", p.insurance],
+    ["HOA", p.hoa],
+  ].filter(([, v], i) => i === 0 || v > 0);
+  return (
+    <div style={{ ...S.card, background: "#0b1020", display: "grid", gap: 4 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 700 }}>
+        <span>Estimated payment</span>
+        <span>{fmtMonthly(p.total)}</span>
+      </div>
+      {rows.map(([label, v]) => (
+        <div key={label} style={{ display: "flex", justifyContent: "space-between", fontSize: 13, opacity: 0.85 }}>
+          <span>{label}</span>
+          <span>{fmtMoney(v)}</span>
+        </div>
+      ))}
+      {p.upfrontFee > 0 && (
+        <div style={{ fontSize: 12, opacity: 0.7 }}>
+          {fees.upfront} {p.upfrontPct}% ({fmtMoney(p.upfrontFee)}) financed: total loan {fmtMoney(p.totalLoan)}
+        </div>
+      )}
+      <div style={{ fontSize: 12, opacity: 0.7 }}>
+        {p.rate}% · {p.termYears} yrs{p.ltv !== null ? ` · ${p.ltv.toFixed(1)}% LTV` : ""}
+        {p.notes.length > 0 && ` · ${p.notes.join(" · ")}`}
+      </div>
+    </div>
+  );
+}
+
+/** Share of checklist items cleared, as a thin bar. */
+function ChecklistMeter({ lead }) {
+  const p = checklistProgress(lead);
+  if (!p) return null;
+  const color = p.pct === 100 ? "#22c55e" : "#f59e0b";
+  return (
+    <div style={{ fontSize: 12, marginTop: 4 }} title={`${p.cleared} of ${p.total} documents and conditions cleared`}>
+      <div style={{ opacity: 0.7 }}>Docs {p.pct}%</div>
+      <div style={{ height: 4, width: 80, background: "#1f2937", borderRadius: 2 }}>
+        <div style={{ height: 4, width: `${p.pct}%`, background: color, borderRadius: 2 }} />
+      </div>
+    </div>
+  );
+}
+
+function LastActivity({ lead }) {
+  const a = lastActivity(lead);
+  if (!a) return null;
+  return (
+    <div style={{ fontSize: 12, opacity: 0.6, maxWidth: 220 }} title={a.text}>
+      {activityLabel(a)}, {new Date(a.at).toLocaleDateString(undefined, { month: "short", day: "numeric" })}
+    </div>
+  );
+}
+
+function Field({ label, children, error, hint, full = false }) {
   return (
     <label style={{ display: "grid", gap: 6, gridColumn: full ? "1 / -1" : "auto" }}>
       <span style={{ fontSize: 12, opacity: 0.8 }}>{label}</span>
       {children}
+      {error && <span style={{ fontSize: 12, color: "#f87171" }}>{error}</span>}
+      {!error && hint && <span style={{ fontSize: 12, opacity: 0.6 }}>{hint}</span>}
     </label>
   );
 }
@@ -0,0 +1,161 @@
+// pages/agenda.jsx
+import { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useLeads } from "../lib/leadStore";
+import { activeLeads } from "../lib/trash";
+import { FOLLOW_UP_BUCKETS, daysBetween, followUpBucket, formatDay, localToday } from "../lib/dates";
+import { completeFollowUp, describePlan, snoozeFollowUp } from "../lib/followUps";
+import { useSettings } from "../lib/settings";
+import { formatPhone } from "../lib/contact";
+import { useFollowUpReminders } from "../lib/notifications";
+import ReminderSettings from "../components/ReminderSettings";
+import StorageErrorBanner from "../components/StorageErrorBanner";
+
+/** ------------------------------
+ *  Constants & Helpers
+ *  ------------------------------ */
+const S = {
+  wrap: { maxWidth: 960, margin: "0 auto", padding: "24px" },
+  bar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 16 },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 12, padding: 16, marginBottom: 16 },
+  btn: { background: "#16a34a", border: "none", color: "white", padding: "8px 12px", borderRadius: 8, cursor: "pointer" },
+  btnGhost: {
+    background: "transparent",
+    border: "1px solid #374151",
+    color: "white",
+    padding: "8px 12px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  h3: { margin: "0 0 12px", fontSize: 16, fontWeight: 700 },
+  row: {
+    display: "grid",
+    gridTemplateColumns: "1fr auto",
+    gap: 12,
+    alignItems: "center",
+    padding: "10px 0",
+    borderTop: "1px solid #1f2937",
+  },
+};
+
+const BUCKET_COLORS = { overdue: "#f87171", today: "#f59e0b", week: "#a5b4fc" };
+const SNOOZES = [
+  [1, "Tomorrow"],
+  [3, "+3 days"],
+  [7, "Next week"],
+];
+
+/** ------------------------------
+ *  Main Page: the daily work queue
+ *  ------------------------------ */
+export default function AgendaPage() {
+  const [leads, setLeads, sync] = useLeads();
+  const [settings, updateSettings] = useSettings();
+  const today = localToday();
+  useFollowUpReminders(leads, settings.notifications);
+
+  const buckets = useMemo(() => {
+    const out = { overdue: [], today: [], week: [] };
+    activeLeads(leads).forEach((l) => {
+      const b = followUpBucket(l, today);
+      if (out[b]) out[b].push(l);
+    });
+    Object.values(out).forEach((list) =>
+      list.sort((a, b) => a.nextFollowUp.localeCompare(b.nextFollowUp) || a.name.localeCompare(b.name))
+    );
+    return out;
+  }, [leads, today]);
+
+  const update = (id, fn) => setLeads((prev) => prev.map((l) => (l.id === id ? fn(l) : l)));
+  const done = (id) => update(id, (l) => completeFollowUp(l, today));
+  const snooze = (id, days) => update(id, (l) => snoozeFollowUp(l, days, today));
+
+  const open = buckets.overdue.length + buckets.today.length;
+
+  return (
+    <>
+      <Head>
+        <title>Today • UMM</title>
+      </Head>
+
+      <div style={S.wrap}>
+        <header style={{ ...S.bar, justifyContent: "space-between" }}>
+          <div>
+            <h1 style={{ fontSize: 28, fontWeight: 800, margin: 0 }}>Today</h1>
+            <div style={{ opacity: 0.7 }}>{formatDay(today, { weekday: "long", month: "long", day: "numeric" })}</div>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Link href="/" style={S.btnGhost}>Home</Link>
+            <Link href="/Leads" style={S.btnGhost}>CRM</Link>
+            <Link href="/dashboard" style={S.btnGhost}>Dashboard</Link>
+          </div>
+        </header>
+
+        <StorageErrorBanner message={sync.storageError} onRetry={sync.retrySave} />
+
+        <p style={{ marginTop: 0, opacity: 0.8 }}>
+          {open ? `${open} follow-up(s) to clear today.` : "Nothing due today. Nice work."}
+        </p>
+
+        {Object.entries(FOLLOW_UP_BUCKETS).map(([key, label]) => (
+          <section key={key} style={S.card}>
+            <h3 style={{ ...S.h3, color: BUCKET_COLORS[key] }}>
+              {label} ({buckets[key].length})
+            </h3>
+            {buckets[key].length === 0 ? (
+              <p style={{ opacity: 0.6, margin: 0 }}>None.</p>
+            ) : (
+              buckets[key].map((l) => (
+                <AgendaRow key={l.id} lead={l} today={today} onDone={done} onSnooze={snooze} />
+              ))
+            )}
+          </section>
+        ))}
+
+        <section style={S.card}>
+          <h3 style={S.h3}>Reminders</h3>
+          <ReminderSettings prefs={settings.notifications} onChange={(notifications) => updateSettings({ notifications })} />
+        </section>
+      </div>
+
+      <style jsx global>{`
+        html, body { margin:0; background:#0f172a; color:#e5e7eb; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Inter,Roboto,Arial;}
+        input, select, button, textarea { font: inherit; }
+        a { color: inherit; text-decoration: none; }
+      `}</style>
+    </>
+  );
+}
+
+/** ------------------------------
+ *  Components
+ *  ------------------------------ */
+function AgendaRow({ lead, today, onDone, onSnooze }) {
+  const late = daysBetween(lead.nextFollowUp, today);
+  return (
+    <div style={S.row}>
+      <div>
+        <div style={{ fontWeight: 600 }}>
+          {lead.name || "—"} <span style={{ fontSize: 12, opacity: 0.7 }}>· {lead.status}</span>
+        </div>
+        <div style={{ fontSize: 13, display: "flex", gap: 12, flexWrap: "wrap", marginTop: 2 }}>
+          {lead.phone && <a href={`tel:${lead.phone.replace(/[^\d+]/g, "")}`}>📞 {formatPhone(lead.phone)}</a>}
+          {lead.email && <a href={`mailto:${lead.email}`}>✉️ {lead.email}</a>}
+        </div>
+        <div style={{ fontSize: 12, opacity: 0.7, marginTop: 2 }}>
+          {late > 0 ? `${late} day(s) late · due ${formatDay(lead.nextFollowUp)}` : `Due ${formatDay(lead.nextFollowUp, { weekday: "short", month: "short", day: "numeric" })}`}
+          {lead.followUpPlan && ` · ${describePlan(lead.followUpPlan)}`}
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", justifyContent: "flex-end" }}>
+        <button style={S.btn} onClick={() => onDone(lead.id)}>✓ Done</button>
+        {SNOOZES.map(([days, label]) => (
+          <button key={days} style={S.btnGhost} onClick={() => onSnooze(lead.id, days)}>
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
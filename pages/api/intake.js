@@ -0,0 +1,36 @@
+// pages/api/intake.js
+import { createLead } from "../../lib/leadSchema";
+import { upsertLead } from "../../lib/leadFileStore";
+import { HONEYPOT_FIELD, intakeToLead, validateIntake } from "../../lib/intake";
+import { clientIp, createRateLimiter } from "../../lib/rateLimit";
+
+const limiter = createRateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+
+/** Public endpoint behind /prequalify: one submission becomes one New lead. */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+
+  // Looks like success to the bot, but nothing is stored.
+  if (String(body[HONEYPOT_FIELD] || "").trim()) return res.status(200).json({ ok: true });
+
+  if (!limiter.hit(clientIp(req))) {
+    res.setHeader("Retry-After", "600");
+    return res.status(429).json({ error: "Too many requests. Please try again in a few minutes." });
+  }
+
+  const errors = validateIntake(body);
+  if (Object.keys(errors).length) return res.status(422).json({ error: "Please check the form.", errors });
+
+  try {
+    await upsertLead(createLead(intakeToLead(body)), null);
+    return res.status(201).json({ ok: true });
+  } catch {
+    return res.status(500).json({ error: "Could not save your request. Please try again." });
+  }
+}
+
+export const config = { api: { bodyParser: { sizeLimit: "20kb" } } };
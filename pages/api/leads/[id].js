@@ -0,0 +1,42 @@
+// pages/api/leads/[id].js
+import { getLead, removeLead, upsertLead } from "../../../lib/leadFileStore";
+import { requireAuth } from "../../../lib/apiAuth";
+
+/** Accepts "123", "" (new lead) or nothing (skip the conflict check). */
+function parseBase(v) {
+  if (v === undefined) return undefined;
+  if (v === null || v === "") return null;
+  return Number(v);
+}
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res)) return;
+  const { id } = req.query;
+  try {
+    if (req.method === "GET") {
+      const lead = await getLead(id);
+      if (!lead) return res.status(404).json({ error: "Not found" });
+      return res.status(200).json({ lead });
+    }
+    if (req.method === "PUT") {
+      const lead = req.body?.lead;
+      if (!lead || typeof lead !== "object") return res.status(400).json({ error: "Missing lead" });
+      const result = await upsertLead({ ...lead, id }, parseBase(req.body.baseUpdatedAt));
+      if (result.conflict !== undefined) {
+        return res.status(409).json({ error: "Lead changed on the server", lead: result.conflict });
+      }
+      return res.status(200).json({ lead: result.lead });
+    }
+    if (req.method === "DELETE") {
+      const result = await removeLead(id, parseBase(req.query.baseUpdatedAt));
+      if (result.conflict !== undefined) {
+        return res.status(409).json({ error: "Lead changed on the server", lead: result.conflict });
+      }
+      return res.status(200).json({ lead: result.lead });
+    }
+    res.setHeader("Allow", "GET, PUT, DELETE");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
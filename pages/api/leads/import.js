@@ -0,0 +1,21 @@
+// pages/api/leads/import.js
+import { mergeLeads } from "../../../lib/leadFileStore";
+import { requireAuth } from "../../../lib/apiAuth";
+
+/** One-time upload of a browser's localStorage pipeline; newer copies win per id. */
+export default async function handler(req, res) {
+  if (!requireAuth(req, res)) return;
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+  const incoming = req.body?.leads;
+  if (!Array.isArray(incoming)) return res.status(400).json({ error: "Expected { leads: [] }" });
+  try {
+    return res.status(200).json({ leads: await mergeLeads(incoming) });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export const config = { api: { bodyParser: { sizeLimit: "10mb" } } };
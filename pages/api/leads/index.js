@@ -0,0 +1,24 @@
+// pages/api/leads/index.js
+import { randomUUID } from "crypto";
+import { listLeads, upsertLead } from "../../../lib/leadFileStore";
+import { requireAuth } from "../../../lib/apiAuth";
+
+export default async function handler(req, res) {
+  if (!requireAuth(req, res)) return;
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ leads: await listLeads() });
+    }
+    if (req.method === "POST") {
+      const lead = req.body?.lead;
+      if (!lead || typeof lead !== "object") return res.status(400).json({ error: "Missing lead" });
+      const result = await upsertLead({ ...lead, id: lead.id || randomUUID() }, null);
+      if (result.conflict) return res.status(409).json({ error: "Lead already exists", lead: result.conflict });
+      return res.status(201).json({ lead: result.lead });
+    }
+    res.setHeader("Allow", "GET, POST");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,25 @@
+// pages/api/partners.js
+import { listPartners, mergePartners } from "../../lib/partnerFileStore";
+import { requireAuth } from "../../lib/apiAuth";
+
+/** Referral partners shared across devices; PUT merges a browser's list and returns the result. */
+export default async function handler(req, res) {
+  if (!requireAuth(req, res)) return;
+  try {
+    if (req.method === "GET") {
+      return res.status(200).json({ partners: await listPartners() });
+    }
+    if (req.method === "PUT") {
+      const incoming = req.body?.partners;
+      if (!Array.isArray(incoming)) return res.status(400).json({ error: "Expected { partners: [] }" });
+      const valid = incoming.filter((p) => p && typeof p === "object" && p.id);
+      return res.status(200).json({ partners: await mergePartners(valid) });
+    }
+    res.setHeader("Allow", "GET, PUT");
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+export const config = { api: { bodyParser: { sizeLimit: "1mb" } } };
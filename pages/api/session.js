@@ -0,0 +1,33 @@
+// pages/api/session.js
+import { SESSION_COOKIE, authConfigured, sessionCookie, tokenMatches, validSession } from "../../lib/apiAuth";
+import { clientIp, createRateLimiter } from "../../lib/rateLimit";
+
+const limiter = createRateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+
+/**
+ * Sign in to the server copy. POST { token } trades UMM_API_TOKEN for a
+ * session cookie, DELETE signs out, GET reports { configured, signedIn }.
+ */
+export default function handler(req, res) {
+  if (req.method === "GET") {
+    return res.status(200).json({ configured: authConfigured(), signedIn: validSession(req.cookies?.[SESSION_COOKIE]) });
+  }
+  if (req.method === "POST") {
+    if (!authConfigured()) return res.status(503).json({ error: "Server sync is off until UMM_API_TOKEN is set." });
+    if (!limiter.hit(clientIp(req))) {
+      res.setHeader("Retry-After", "600");
+      return res.status(429).json({ error: "Too many attempts. Please try again in a few minutes." });
+    }
+    if (!tokenMatches(req.body?.token)) return res.status(401).json({ error: "That token was not accepted." });
+    res.setHeader("Set-Cookie", sessionCookie(req, true));
+    return res.status(200).json({ signedIn: true });
+  }
+  if (req.method === "DELETE") {
+    res.setHeader("Set-Cookie", sessionCookie(req, false));
+    return res.status(200).json({ signedIn: false });
+  }
+  res.setHeader("Allow", "GET, POST, DELETE");
+  return res.status(405).json({ error: "Method not allowed" });
+}
+
+export const config = { api: { bodyParser: { sizeLimit: "2kb" } } };
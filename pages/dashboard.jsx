@@ -0,0 +1,296 @@
+// pages/dashboard.jsx
+import { useMemo, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Cell,
+  Legend,
+  Pie,
+  PieChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { useLeads } from "../lib/leadStore";
+import { activeLeads } from "../lib/trash";
+import { dayOf } from "../lib/dates";
+import {
+  averageLoan,
+  conversionByAgent,
+  conversionBySource,
+  inRange,
+  loanTypeMix,
+  statusFunnel,
+  wonVolumeByMonth,
+} from "../lib/analytics";
+
+/** ------------------------------
+ *  Constants & Helpers
+ *  ------------------------------ */
+const S = {
+  wrap: { maxWidth: 1200, margin: "0 auto", padding: "24px" },
+  bar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 16 },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 12, padding: 16 },
+  btnGhost: {
+    background: "transparent",
+    border: "1px solid #374151",
+    color: "white",
+    padding: "10px 14px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  input: {
+    background: "#0b1020",
+    border: "1px solid #334155",
+    color: "white",
+    padding: "10px 12px",
+    borderRadius: 8,
+  },
+  grid2: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginBottom: 16 },
+  h3: { margin: "0 0 12px", fontSize: 16, fontWeight: 700 },
+};
+
+const STATUS_COLORS = {
+  New: "#334155",
+  "Pre-Approved": "#0891b2",
+  "In Process": "#6366f1",
+  Conditional: "#f59e0b",
+  "Clear to Close": "#16a34a",
+  Won: "#22c55e",
+  Lost: "#ef4444",
+};
+const PIE_COLORS = ["#6366f1", "#0891b2", "#22c55e", "#f59e0b", "#ec4899", "#64748b"];
+const TOOLTIP = { contentStyle: { background: "#111827", border: "1px solid #1f2937" } };
+
+const fmtMoney = (n) =>
+  Number(n || 0).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+const axisMoney = (n) => (n >= 1e6 ? `$${(n / 1e6).toFixed(1)}M` : n >= 1000 ? `$${Math.round(n / 1000)}k` : `$${n}`);
+
+/** Quick ranges, as [from, to] yyyy-mm-dd pairs relative to today. */
+function preset(name) {
+  const d = new Date();
+  const iso = dayOf;
+  if (name === "month") return [iso(new Date(d.getFullYear(), d.getMonth(), 1)), iso(d)];
+  if (name === "quarter") return [iso(new Date(d.getFullYear(), Math.floor(d.getMonth() / 3) * 3, 1)), iso(d)];
+  if (name === "ytd") return [iso(new Date(d.getFullYear(), 0, 1)), iso(d)];
+  if (name === "12m") return [iso(new Date(d.getFullYear() - 1, d.getMonth(), d.getDate() + 1)), iso(d)];
+  return ["", ""];
+}
+
+/** ------------------------------
+ *  Main Page
+ *  ------------------------------ */
+export default function DashboardPage() {
+  const [all] = useLeads();
+  const leads = useMemo(() => activeLeads(all), [all]);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+
+  const scoped = useMemo(() => inRange(leads, from, to), [leads, from, to]);
+  const funnel = useMemo(() => statusFunnel(scoped), [scoped]);
+  const monthly = useMemo(() => wonVolumeByMonth(scoped), [scoped]);
+  const bySource = useMemo(() => conversionBySource(scoped), [scoped]);
+  const byAgent = useMemo(() => conversionByAgent(scoped), [scoped]);
+  const mix = useMemo(() => loanTypeMix(scoped), [scoped]);
+  const avg = useMemo(() => averageLoan(scoped), [scoped]);
+  const won = scoped.filter((l) => l.status === "Won");
+  const wonVolume = won.reduce((t, l) => t + (Number(l.loanAmount) || 0), 0);
+
+  const applyPreset = (name) => {
+    const [f, t] = preset(name);
+    setFrom(f);
+    setTo(t);
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Pipeline Dashboard • UMM</title>
+      </Head>
+
+      <div style={S.wrap}>
+        <header style={{ ...S.bar, justifyContent: "space-between" }}>
+          <h1 style={{ fontSize: 28, fontWeight: 800 }}>Pipeline Dashboard</h1>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Link href="/" style={S.btnGhost}>Home</Link>
+            <Link href="/Leads" style={S.btnGhost}>CRM</Link>
+            <Link href="/agenda" style={S.btnGhost}>Today</Link>
+            <Link href="/refi" style={S.btnGhost}>Refi Watch</Link>
+          </div>
+        </header>
+
+        {/* Filters */}
+        <section style={{ ...S.card, ...S.bar }}>
+          <label>
+            From{" "}
+            <input type="date" style={S.input} value={from} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label>
+            To <input type="date" style={S.input} value={to} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          {[
+            ["month", "This month"],
+            ["quarter", "This quarter"],
+            ["ytd", "Year to date"],
+            ["12m", "Last 12 months"],
+            ["all", "All time"],
+          ].map(([k, label]) => (
+            <button key={k} style={S.btnGhost} onClick={() => applyPreset(k)}>{label}</button>
+          ))}
+          <span style={{ opacity: 0.7, fontSize: 12 }}>
+            Leads created in range, plus deals closed in range.
+          </span>
+        </section>
+
+        {/* KPIs */}
+        <section style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 12, marginBottom: 16 }}>
+          <Kpi label="Leads" value={scoped.length} />
+          <Kpi label="Won" value={won.length} />
+          <Kpi label="Won Volume" value={fmtMoney(wonVolume)} />
+          <Kpi label="Avg Loan (all)" value={fmtMoney(avg.all)} />
+          <Kpi label="Avg Loan (won)" value={fmtMoney(avg.won)} />
+        </section>
+
+        <section style={S.grid2}>
+          <div style={S.card}>
+            <h3 style={S.h3}>Status funnel</h3>
+            <ChartBox>
+              <BarChart data={funnel} layout="vertical" margin={{ left: 24 }}>
+                <CartesianGrid stroke="#1f2937" />
+                <XAxis type="number" allowDecimals={false} stroke="#9ca3af" />
+                <YAxis type="category" dataKey="stage" stroke="#9ca3af" width={100} />
+                <Tooltip {...TOOLTIP} formatter={(v, name) => [v, name === "count" ? "Reached stage" : "In stage now"]} />
+                <Bar dataKey="count">
+                  {funnel.map((f) => <Cell key={f.stage} fill={STATUS_COLORS[f.stage]} />)}
+                </Bar>
+              </BarChart>
+            </ChartBox>
+          </div>
+
+          <div style={S.card}>
+            <h3 style={S.h3}>Won volume by month</h3>
+            {monthly.length === 0 ? (
+              <Empty text="No won deals with a close date in this range." />
+            ) : (
+              <ChartBox>
+                <BarChart data={monthly}>
+                  <CartesianGrid stroke="#1f2937" />
+                  <XAxis dataKey="month" stroke="#9ca3af" />
+                  <YAxis tickFormatter={axisMoney} stroke="#9ca3af" width={60} />
+                  <Tooltip {...TOOLTIP} formatter={(v, name) => (name === "volume" ? [fmtMoney(v), "Volume"] : [v, "Deals"])} />
+                  <Bar dataKey="volume" fill="#22c55e" />
+                </BarChart>
+              </ChartBox>
+            )}
+          </div>
+        </section>
+
+        <section style={S.grid2}>
+          <div style={S.card}>
+            <h3 style={S.h3}>Conversion by source</h3>
+            <ChartBox>
+              <BarChart data={bySource}>
+                <CartesianGrid stroke="#1f2937" />
+                <XAxis dataKey="key" stroke="#9ca3af" />
+                <YAxis unit="%" domain={[0, 100]} stroke="#9ca3af" />
+                <Tooltip {...TOOLTIP} formatter={(v) => `${v}%`} />
+                <Legend />
+                <Bar dataKey="conversion" name="Won / all leads" fill="#6366f1" />
+                <Bar dataKey="closeRate" name="Won / decided" fill="#0891b2" />
+              </BarChart>
+            </ChartBox>
+            <GroupTable rows={bySource} label="Source" />
+          </div>
+
+          <div style={S.card}>
+            <h3 style={S.h3}>Loan type mix</h3>
+            {mix.length === 0 ? (
+              <Empty text="No leads in this range." />
+            ) : (
+              <ChartBox>
+                <PieChart>
+                  <Tooltip {...TOOLTIP} formatter={(v, name, p) => [`${v} lead(s) · ${fmtMoney(p.payload.volume)}`, name]} />
+                  <Legend />
+                  <Pie data={mix} dataKey="count" nameKey="type" outerRadius={90} label>
+                    {mix.map((m, i) => <Cell key={m.type} fill={PIE_COLORS[i % PIE_COLORS.length]} />)}
+                  </Pie>
+                </PieChart>
+              </ChartBox>
+            )}
+          </div>
+        </section>
+
+        <section style={{ ...S.card, marginBottom: 16 }}>
+          <h3 style={S.h3}>Conversion by partner / realtor</h3>
+          <GroupTable rows={byAgent} label="Partner" />
+        </section>
+      </div>
+
+      <style jsx global>{`
+        html, body { margin:0; background:#0f172a; color:#e5e7eb; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Inter,Roboto,Arial;}
+        input, select, button, textarea { font: inherit; }
+        a { color: inherit; text-decoration: none; }
+      `}</style>
+    </>
+  );
+}
+
+/** ------------------------------
+ *  Components
+ *  ------------------------------ */
+function Kpi({ label, value }) {
+  return (
+    <div style={{ ...S.card, textAlign: "center" }}>
+      <div style={{ fontSize: 12, opacity: 0.7 }}>{label}</div>
+      <div style={{ fontSize: 22, fontWeight: 700, marginTop: 4 }}>{value}</div>
+    </div>
+  );
+}
+
+function ChartBox({ children }) {
+  return (
+    <div style={{ height: 260 }}>
+      <ResponsiveContainer>{children}</ResponsiveContainer>
+    </div>
+  );
+}
+
+function Empty({ text }) {
+  return <p style={{ opacity: 0.7 }}>{text}</p>;
+}
+
+function GroupTable({ rows, label }) {
+  if (!rows.length) return <Empty text="No leads in this range." />;
+  return (
+    <div style={{ overflowX: "auto", marginTop: 12 }}>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+        <thead>
+          <tr style={{ textAlign: "left", opacity: 0.7 }}>
+            <th>{label}</th>
+            <th>Leads</th>
+            <th>Won</th>
+            <th>Conversion</th>
+            <th>Close Rate</th>
+            <th>Won Volume</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.key} style={{ borderTop: "1px solid #1f2937" }}>
+              <td>{r.key}</td>
+              <td>{r.total}</td>
+              <td>{r.won}</td>
+              <td>{r.conversion}%</td>
+              <td>{r.closeRate}%</td>
+              <td>{fmtMoney(r.wonVolume)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
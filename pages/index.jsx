@@ -1,19 +1,29 @@
 // pages/leads.jsx
 import Head from "next/head";
 import Link from "next/link";
-import { useEffect, useMemo, useRef, useState } from "react";
-
-const STORAGE_KEY = "umm_leads_v2";
-
-const STATUSES = [
-  "New",
-  "Pre-Approved",
-  "In Process",
-  "Conditional",
-  "Clear to Close",
-  "Won",
-  "Lost",
-];
+import { useCallback, useMemo, useRef, useState } from "react";
+import { LOAN_TYPES, STATUSES, createLead, importedFields, migrateLead, normalizeLead, upsertById } from "../lib/leadSchema";
+import { SYNC_LABELS, conflictMessage, useLeads } from "../lib/leadStore";
+import CsvImportDialog from "../components/CsvImportDialog";
+import { dateStamp, downloadBlob, toCSV } from "../lib/download";
+import { useSettings } from "../lib/settings";
+import { useFollowUpReminders } from "../lib/notifications";
+import { FOLLOW_UP_BUCKETS, followUpBucket, formatDay, localToday, parseDay } from "../lib/dates";
+import { toICS } from "../lib/ics";
+import { findDuplicates } from "../lib/duplicates";
+import { formatPhone, toE164 } from "../lib/contact";
+import { loanAmountNote, validateLead } from "../lib/validation";
+import { activeLeads, purgeExpired, purgeLeads, restoreLeads, trashLeads, trashedLeads } from "../lib/trash";
+import TrashDialog from "../components/TrashDialog";
+import UndoToast from "../components/UndoToast";
+import StorageErrorBanner from "../components/StorageErrorBanner";
+import { logMessage } from "../lib/templates";
+import { activityLabel, activityLines, activityText, addActivity, lastActivity } from "../lib/activity";
+import ActivityLog from "../components/ActivityLog";
+import { CHECKLIST_STAGES, checklistProgress, holdClearToClose, seedChecklist, seedOnEntry } from "../lib/checklist";
+import ChecklistEditor from "../components/ChecklistEditor";
+import MessageMenu from "../components/MessageMenu";
+import TemplatesDialog from "../components/TemplatesDialog";
 
 const SORTS = {
   "Newest": (a, b) => (b.createdAt || 0) - (a.createdAt || 0),
@@ -24,53 +34,58 @@ const SORTS = {
   "Next Follow-up": (a, b) => (dateOrInfinity(a.nextFollowUp)) - (dateOrInfinity(b.nextFollowUp)),
 };
 
+const BUCKET_COLORS = { overdue: "#ef4444", today: "#f59e0b", week: "#334155" };
+
 const defaultLead = {
   name: "",
-  contact: "",
+  phone: "",
+  email: "",
+  loanType: "Conventional",
   loanAmount: "",
   status: "New",
+  closeDate: "",
   source: "",
   tags: "",
-  notes: "",
+  activities: [],
+  checklist: [],
   nextFollowUp: "",
 };
 
 export default function Leads() {
   const fileInputRef = useRef(null);
+  const csvInputRef = useRef(null);
+  const [csvFile, setCsvFile] = useState(null);
 
-  const [leads, setLeads] = useState([]);
+  const [leads, setLeads, sync] = useLeads();
   const [form, setForm] = useState(defaultLead);
   const [editingId, setEditingId] = useState(null);
+  const [editingSince, setEditingSince] = useState(null); // updatedAt of the copy loaded into the form
+  const [checked, setChecked] = useState(false); // show field errors once a save was attempted
 
   const [q, setQ] = useState("");
   const [statusFilter, setStatusFilter] = useState("All");
   const [sortBy, setSortBy] = useState("Newest");
   const [selected, setSelected] = useState({}); // id: true
+  const [settings, updateSettings] = useSettings();
+  useFollowUpReminders(leads, settings.notifications);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [undo, setUndo] = useState(null); // { message, ids } of the last delete
 
-  // Load
-  useEffect(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      setLeads(raw ? JSON.parse(raw) : []);
-    } catch {}
-  }, []);
-
-  // Save
-  useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(leads));
-    } catch {}
-  }, [leads]);
+  const live = useMemo(() => activeLeads(leads), [leads]);
+  const trash = useMemo(() => trashedLeads(leads), [leads]);
+  const dismissUndo = useCallback(() => setUndo(null), []);
+  const today = localToday();
 
   // Derived
   const filteredLeads = useMemo(() => {
-    let list = [...leads];
+    let list = [...live];
 
     // Search
     const needle = q.trim().toLowerCase();
     if (needle) {
       list = list.filter((l) => [
-        l.name, l.contact, l.source, l.notes,
+        l.name, l.phone, l.email, l.source, activityText(l),
         (l.tags || []).join(", "),
       ].some((v) => String(v || "").toLowerCase().includes(needle)));
     }
@@ -83,7 +98,7 @@ export default function Leads() {
     // Sort
     list.sort(SORTS[sortBy] || SORTS["Newest"]);
     return list;
-  }, [leads, q, statusFilter, sortBy]);
+  }, [live, q, statusFilter, sortBy]);
 
   const totalVol = useMemo(
     () => filteredLeads.reduce((s, l) => s + (Number(l.loanAmount) || 0), 0),
@@ -91,21 +106,34 @@ export default function Leads() {
   );
 
   // CRUD
-  const resetForm = () => setForm(defaultLead);
+  const resetForm = () => {
+    setForm(defaultLead);
+    setChecked(false);
+  };
+  const editingLead = editingId ? leads.find((l) => l.id === editingId) : null;
+  const formErrors = checked ? validateLead(form, editingLead, settings.checklists) : {};
 
   const addOrUpdate = () => {
-    const clean = sanitizeLead(form);
-    if (!clean.name) return alert("Name is required");
+    setChecked(true);
+    if (Object.keys(validateLead(form, editingLead, settings.checklists)).length) return;
+    const before = editingLead;
+    const clean = seedOnEntry(sanitizeLead(form), before?.status, settings.checklists);
+    const draft = normalizeLead({ ...clean, id: editingId || undefined });
+    if (before && before.updatedAt !== editingSince &&
+        !confirm(`${before.name} was changed in another tab or device while you were editing. Save your version over it?`)) return;
+    const contactChanged = !before || ["name", "phone", "email"].some((k) => before[k] !== draft[k]);
+    const matches = contactChanged ? findDuplicates(draft, live) : [];
+    if (matches.length) {
+      const list = matches.map((m) => `• ${m.lead.name} (${m.reasons.join(", ")})`).join("\n");
+      if (!confirm(`This looks like a lead you already have:\n${list}\n\nSave anyway? (Use Merge in the CRM to combine them.)`)) return;
+    }
     if (editingId) {
       setLeads((prev) =>
-        prev.map((l) => (l.id === editingId ? { ...l, ...clean, updatedAt: Date.now() } : l))
+        prev.map((l) => (l.id === editingId ? normalizeLead({ ...l, ...clean, updatedAt: Date.now() }) : l))
       );
       setEditingId(null);
     } else {
-      setLeads((prev) => [
-        { id: crypto.randomUUID(), ...clean, createdAt: Date.now(), updatedAt: Date.now() },
-        ...prev,
-      ]);
+      setLeads((prev) => [createLead(clean), ...prev]);
     }
     resetForm();
     window.scrollTo({ top: 0, behavior: "smooth" });
@@ -116,21 +144,28 @@ export default function Leads() {
     if (!l) return;
     setForm({
       name: l.name || "",
-      contact: l.contact || "",
+      phone: l.phone || "",
+      email: l.email || "",
+      loanType: l.loanType || "Conventional",
       loanAmount: l.loanAmount ?? "",
       status: l.status || "New",
+      closeDate: l.closeDate || "",
       source: l.source || "",
       tags: (l.tags || []).join(", "),
-      notes: l.notes || "",
+      activities: l.activities || [],
+      checklist: l.checklist || [],
       nextFollowUp: l.nextFollowUp ? l.nextFollowUp.slice(0, 10) : "",
     });
     setEditingId(id);
+    setEditingSince(l.updatedAt);
+    setChecked(false);
     window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
   const remove = (id) => {
-    if (!confirm("Delete this lead?")) return;
-    setLeads((prev) => prev.filter((l) => l.id !== id));
+    const lead = leads.find((l) => l.id === id);
+    setLeads((prev) => trashLeads(prev, [id]));
+    setUndo({ message: `${lead?.name || "Lead"} moved to trash`, ids: [id] });
     setSelected((prev) => {
       const n = { ...prev };
       delete n[id];
@@ -145,37 +180,48 @@ export default function Leads() {
   const bulkDelete = () => {
     const ids = Object.keys(selected).filter((k) => selected[k]);
     if (!ids.length) return alert("No leads selected.");
-    if (!confirm(`Delete ${ids.length} lead(s)?`)) return;
-    setLeads((prev) => prev.filter((l) => !ids.includes(l.id)));
+    setLeads((prev) => trashLeads(prev, ids));
     setSelected({});
+    setUndo({ message: `${ids.length} lead(s) moved to trash`, ids });
   };
 
   // Export / Import
   const exportJSON = () => {
-    downloadBlob(JSON.stringify(leads, null, 2), `umm-leads-${dateStamp()}.json`, "application/json");
+    downloadBlob(JSON.stringify(live, null, 2), `umm-leads-${dateStamp()}.json`, "application/json");
   };
 
   const exportCSV = () => {
     const rows = [
-      ["id","name","contact","loanAmount","status","source","tags","notes","nextFollowUp","createdAt","updatedAt"],
-      ...leads.map((l) => [
+      ["id","name","phone","email","loanType","loanAmount","status","source","agent","propertyAddress","tags","activity","nextFollowUp","closeDate","createdAt","updatedAt"],
+      ...live.map((l) => [
         l.id,
         esc(l.name),
-        esc(l.contact),
+        esc(l.phone),
+        esc(l.email),
+        l.loanType || "",
         Number(l.loanAmount) || 0,
         l.status || "",
         esc(l.source),
+        esc(l.agent),
+        esc(l.propertyAddress),
         esc((l.tags || []).join("|")),
-        esc(l.notes || ""),
+        esc(activityLines(l)),
         l.nextFollowUp || "",
+        l.closeDate || "",
         l.createdAt || "",
         l.updatedAt || "",
       ]),
     ];
-    const csv = rows.map((r) => r.map(csvCell).join(",")).join("\n");
+    const csv = toCSV(rows);
     downloadBlob(csv, `umm-leads-${dateStamp()}.csv`, "text/csv");
   };
 
+  const exportCalendar = () => {
+    const upcoming = live.filter((l) => l.nextFollowUp && l.nextFollowUp >= today);
+    if (!upcoming.length) return alert("No upcoming follow-ups to export.");
+    downloadBlob(toICS(upcoming), `umm-follow-ups-${today}.ics`, "text/calendar");
+  };
+
   const importJSON = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -184,20 +230,15 @@ export default function Leads() {
       try {
         const arr = JSON.parse(String(reader.result || "[]"));
         if (!Array.isArray(arr)) throw new Error("Not an array");
-        const cleaned = arr.map(importSanitize);
-        if (!confirm(`Import ${cleaned.length} lead(s)? This merges with what you have.`)) return;
-        // Merge on id (if exists), otherwise append
-        setLeads((prev) => {
-          const map = new Map(prev.map((l) => [l.id, l]));
-          cleaned.forEach((l) => {
-            if (l.id && map.has(l.id)) {
-              map.set(l.id, { ...map.get(l.id), ...l, updatedAt: Date.now() });
-            } else {
-              map.set(l.id || crypto.randomUUID(), { ...l, id: l.id || crypto.randomUUID(), createdAt: l.createdAt || Date.now(), updatedAt: Date.now() });
-            }
-          });
-          return Array.from(map.values());
-        });
+        const raws = arr.filter((r) => r && typeof r === "object");
+        const cleaned = raws.map(migrateLead);
+        const dupes = cleaned.filter((l) => !leads.some((x) => x.id === l.id) && findDuplicates(l, live).length).length;
+        const warn = dupes ? ` ${dupes} of them look like leads you already have.` : "";
+        if (!confirm(`Import ${cleaned.length} lead(s)? This merges with what you have.${warn}`)) return;
+        // Merge on id (if exists), otherwise append; only fields present in the file are applied
+        const { records, held } = holdClearToClose(raws.map((r, i) => importedFields(r, cleaned[i])), leads, settings.checklists);
+        setLeads((prev) => upsertById(prev, records));
+        if (held.length) alert(`Kept out of Clear to Close until their checklists are cleared: ${held.join(", ")}.`);
       } catch (err) {
         alert("Invalid JSON file.");
       } finally {
@@ -207,16 +248,27 @@ export default function Leads() {
     reader.readAsText(file);
   };
 
+  const importCSV = (rows, report) => {
+    const { records, held } = holdClearToClose(rows, leads, settings.checklists);
+    setLeads((prev) => upsertById(prev, records));
+    setCsvFile(null);
+    if (report.skipped.length) alert(`Imported ${rows.length} lead(s). Skipped ${report.skipped.length} row(s) without a name.`);
+    if (held.length) alert(`Kept out of Clear to Close until their checklists are cleared: ${held.join(", ")}.`);
+  };
+
+  const logSent = (id, channel, template) =>
+    setLeads((prev) => prev.map((l) => (l.id === id ? logMessage(l, channel, template) : l)));
+
   const toggleSelect = (id) => setSelected((prev) => ({ ...prev, [id]: !prev[id] }));
 
-  const overdue = (l) => {
-    if (!l.nextFollowUp) return false;
-    const d = new Date(l.nextFollowUp);
-    if (isNaN(d)) return false;
-    const endOfDay = new Date(d);
-    endOfDay.setHours(23, 59, 59, 999);
-    return endOfDay.getTime() < Date.now() && l.status !== "Won" && l.status !== "Lost";
-  };
+  const bucketCounts = useMemo(() => {
+    const counts = { overdue: 0, today: 0, week: 0 };
+    live.forEach((l) => {
+      const b = followUpBucket(l, today);
+      if (b in counts) counts[b] += 1;
+    });
+    return counts;
+  }, [live, today]);
 
   return (
     <>
@@ -225,30 +277,84 @@ export default function Leads() {
         <div style={ui.topbar}>
           <Link href="/" style={ui.back}>&larr; Back</Link>
           <h1 style={ui.title}>Lead Manager</h1>
+          <Link href="/dashboard" style={ui.back}>Dashboard</Link>
+          <button style={{...ui.linkBtn, marginLeft:"auto"}} onClick={sync.retry} title="Sync with server">{SYNC_LABELS[sync.status]}</button>
         </div>
 
+        <StorageErrorBanner message={sync.storageError} onRetry={sync.retrySave} />
+
+        {sync.conflicts.length > 0 && (
+          <section style={{...ui.card, borderColor:"#f59e0b"}}>
+            {sync.conflicts.map((c)=>(
+              <div key={c.id} style={{color:"#f59e0b"}}>
+                {conflictMessage(c)}
+              </div>
+            ))}
+            <button style={{...ui.secondaryBtn, marginTop:8}} onClick={sync.dismissConflicts}>Dismiss</button>
+          </section>
+        )}
+
+        {(bucketCounts.overdue + bucketCounts.today + bucketCounts.week) > 0 && (
+          <section style={{...ui.card, display:"flex", gap:16, alignItems:"center", flexWrap:"wrap"}}>
+            {Object.entries(FOLLOW_UP_BUCKETS).map(([k, label])=>(
+              <span key={k} style={{color: k === "overdue" && bucketCounts[k] ? "#f87171" : "inherit"}}>{label}: <b>{bucketCounts[k]}</b></span>
+            ))}
+            <Link href="/agenda" style={{...ui.linkBtn, marginLeft:"auto"}}>Open agenda &rarr;</Link>
+          </section>
+        )}
+
         {/* Form */}
         <section style={ui.card}>
           <h2 style={ui.h2}>{editingId ? "Edit Lead" : "Add New Lead"}</h2>
           <div style={ui.formGrid}>
-            <input style={ui.input} placeholder="Name *"
-                   value={form.name} onChange={(e)=>setForm({...form, name:e.target.value})}/>
-            <input style={ui.input} placeholder="Phone or Email"
-                   value={form.contact} onChange={(e)=>setForm({...form, contact:e.target.value})}/>
-            <input style={ui.input} placeholder="Loan Amount ($)" type="number"
-                   value={form.loanAmount} onChange={(e)=>setForm({...form, loanAmount:e.target.value})}/>
-            <select style={ui.input} value={form.status}
-                    onChange={(e)=>setForm({...form, status:e.target.value})}>
-              {STATUSES.map((s)=> <option key={s} value={s}>{s}</option>)}
+            <FormField error={formErrors.name}>
+              <input style={ui.input} placeholder="Name *"
+                     value={form.name} onChange={(e)=>setForm({...form, name:e.target.value})}/>
+            </FormField>
+            <FormField error={formErrors.phone}>
+              <input style={ui.input} placeholder="Phone"
+                     value={form.phone} onChange={(e)=>setForm({...form, phone:e.target.value})}/>
+            </FormField>
+            <FormField error={formErrors.email}>
+              <input style={ui.input} placeholder="Email"
+                     value={form.email} onChange={(e)=>setForm({...form, email:e.target.value})}/>
+            </FormField>
+            <select style={ui.input} value={form.loanType}
+                    onChange={(e)=>setForm({...form, loanType:e.target.value})}>
+              {LOAN_TYPES.map((t)=> <option key={t} value={t}>{t}</option>)}
             </select>
+            <FormField error={formErrors.loanAmount} hint={loanAmountNote(form.loanType)}>
+              <input style={ui.input} placeholder="Loan Amount ($)" inputMode="decimal"
+                     value={form.loanAmount} onChange={(e)=>setForm({...form, loanAmount:e.target.value})}/>
+            </FormField>
+            <FormField error={formErrors.status}>
+              <select style={ui.input} value={form.status}
+                      onChange={(e)=>setForm({...form, status:e.target.value})}>
+                {STATUSES.map((s)=> <option key={s} value={s}>{s}</option>)}
+              </select>
+            </FormField>
+            {form.status === "Won" && (
+              <FormField error={formErrors.closeDate}>
+                <input style={ui.input} type="date" title="Close date"
+                       value={form.closeDate} onChange={(e)=>setForm({...form, closeDate:e.target.value})}/>
+              </FormField>
+            )}
             <input style={ui.input} placeholder="Source (Agent, Zillow, Referral…)"
                    value={form.source} onChange={(e)=>setForm({...form, source:e.target.value})}/>
             <input style={ui.input} placeholder="Tags (comma separated)"
                    value={form.tags} onChange={(e)=>setForm({...form, tags:e.target.value})}/>
             <input style={ui.input} type="date" value={form.nextFollowUp}
                    onChange={(e)=>setForm({...form, nextFollowUp:e.target.value})}/>
-            <textarea style={{...ui.input, gridColumn:"1 / -1", minHeight:90}} placeholder="Notes"
-                      value={form.notes} onChange={(e)=>setForm({...form, notes:e.target.value})}/>
+            {(form.checklist.length > 0 || CHECKLIST_STAGES.includes(form.status)) && (
+              <div style={{gridColumn:"1 / -1"}}>
+                <ChecklistEditor items={form.checklist} loanType={form.loanType}
+                                 onChange={(checklist)=>setForm((f)=>({...f, checklist}))}
+                                 onSeed={()=>setForm((f)=>seedChecklist(f, settings.checklists))}/>
+              </div>
+            )}
+            <div style={{gridColumn:"1 / -1"}}>
+              <ActivityLog activities={form.activities} onAdd={(entry)=>setForm((f)=>addActivity(f, entry))}/>
+            </div>
           </div>
           <div style={{display:"flex", gap:8, flexWrap:"wrap"}}>
             <button style={ui.primaryBtn} onClick={addOrUpdate}>{editingId? "Update Lead":"Add Lead"}</button>
@@ -259,7 +365,7 @@ export default function Leads() {
 
         {/* Filters / Actions */}
         <section style={{display:"grid", gridTemplateColumns:"1fr 1fr 1fr", gap:10, margin:"12px 0"}}>
-          <input style={ui.input} placeholder="Search (name, contact, notes, tags, source)" value={q} onChange={(e)=>setQ(e.target.value)}/>
+          <input style={ui.input} placeholder="Search (name, phone, email, activity, tags, source)" value={q} onChange={(e)=>setQ(e.target.value)}/>
           <select style={ui.input} value={statusFilter} onChange={(e)=>setStatusFilter(e.target.value)}>
             <option>All</option>
             {STATUSES.map((s)=><option key={s}>{s}</option>)}
@@ -280,14 +386,49 @@ export default function Leads() {
         <section style={{display:"flex", gap:8, flexWrap:"wrap", marginBottom:12}}>
           <button style={ui.secondaryBtn} onClick={()=>fileInputRef.current?.click()}>Import JSON</button>
           <input ref={fileInputRef} type="file" accept="application/json" style={{display:"none"}} onChange={importJSON}/>
+          <button style={ui.secondaryBtn} onClick={()=>csvInputRef.current?.click()}>Import CSV / TSV</button>
+          <input ref={csvInputRef} type="file" accept=".csv,.tsv,text/csv,text/tab-separated-values" style={{display:"none"}}
+                 onChange={(e)=>{ setCsvFile(e.target.files?.[0] || null); e.target.value = ""; }}/>
+          <button style={ui.secondaryBtn} onClick={exportCalendar}>Follow-ups (.ics)</button>
           <button style={{...ui.secondaryBtn, background:"#ef4444"}} onClick={bulkDelete}>Delete Selected</button>
+          <button style={ui.secondaryBtn} onClick={()=>setShowTemplates(true)}>Message templates</button>
+          <button style={ui.secondaryBtn} onClick={()=>setShowTrash(true)}>Trash{trash.length ? ` (${trash.length})` : ""}</button>
         </section>
 
+        {showTrash && (
+          <TrashDialog
+            leads={trash}
+            retentionDays={settings.trashRetentionDays}
+            onRetentionChange={(days)=>{ updateSettings({ trashRetentionDays: days }); setLeads((prev) => purgeExpired(prev, days)); }}
+            onRestore={(ids)=>setLeads((prev) => restoreLeads(prev, ids))}
+            onPurge={(ids)=>setLeads((prev) => purgeLeads(prev, ids))}
+            onClose={()=>setShowTrash(false)}
+          />
+        )}
+
+        {showTemplates && (
+          <TemplatesDialog
+            templates={settings.templates}
+            onChange={(templates)=>updateSettings({ templates })}
+            onClose={()=>setShowTemplates(false)}
+          />
+        )}
+
+        {undo && (
+          <UndoToast
+            message={undo.message}
+            onUndo={()=>{ setLeads((prev) => restoreLeads(prev, undo.ids)); setUndo(null); }}
+            onDismiss={dismissUndo}
+          />
+        )}
+
+        {csvFile && <CsvImportDialog file={csvFile} leads={live} onCancel={()=>setCsvFile(null)} onImport={importCSV}/>}
+
         {/* Table */}
         <section style={ui.card}>
           <h2 style={ui.h2}>All Leads</h2>
           {filteredLeads.length === 0 ? (
-            <p style={{opacity:.7}}>No leads match your filters.</p>
+            <p style={{opacity:.7}}>{sync.loadError || "No leads match your filters."}</p>
           ) : (
             <div style={{overflowX:"auto"}}>
               <table style={ui.table}>
@@ -301,33 +442,36 @@ export default function Leads() {
                     <th>Source</th>
                     <th>Tags</th>
                     <th>Next Follow-up</th>
-                    <th>Notes</th>
+                    <th>Last Activity</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredLeads.map((l)=>(
-                    <tr key={l.id} style={overdue(l)? {background:"#3a1e1e"}:undefined}>
+                  {filteredLeads.map((l)=>{
+                    const bucket = followUpBucket(l, today);
+                    return (
+                    <tr key={l.id} style={bucket === "overdue" ? {background:"#3a1e1e"}:undefined}>
                       <td><input type="checkbox" checked={!!selected[l.id]} onChange={()=>toggleSelect(l.id)}/></td>
                       <td>{l.name}</td>
                       <td>
-                        {l.contact}
-                        {clickableContact(l.contact)}
+                        {l.phone && <div>{formatPhone(l.phone)}{callLink(l.phone)}</div>}
+                        {l.email && <div>{l.email}</div>}
+                        <MessageMenu lead={l} templates={settings.templates} style={ui.messageMenu}
+                                     onSent={(channel, template)=>logSent(l.id, channel, template)}/>
                       </td>
                       <td>${(Number(l.loanAmount)||0).toLocaleString()}</td>
-                      <td>{l.status}</td>
+                      <td>{l.status}{checklistLabel(l)}</td>
                       <td>{l.source}</td>
                       <td>{(l.tags||[]).join(", ")}</td>
-                      <td>{l.nextFollowUp ? humanDate(l.nextFollowUp) : "-" } {overdue(l) && <span style={ui.badge}>Overdue</span>}</td>
-                      <td style={{maxWidth:280, whiteSpace:"nowrap", overflow:"hidden", textOverflow:"ellipsis"}} title={l.notes || ""}>
-                        {l.notes || "-"}
-                      </td>
+                      <td>{l.nextFollowUp ? formatDay(l.nextFollowUp) : "-" } {bucket && bucket !== "later" && <span style={{...ui.badge, background:BUCKET_COLORS[bucket]}}>{FOLLOW_UP_BUCKETS[bucket]}</span>}</td>
+                      <td style={{maxWidth:280}}>{describeLast(l)}</td>
                       <td>
                         <button style={ui.linkBtn} onClick={()=>edit(l.id)}>Edit</button>
                         <button style={ui.dangerBtn} onClick={()=>remove(l.id)}>Delete</button>
                       </td>
                     </tr>
-                  ))}
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -347,68 +491,63 @@ export default function Leads() {
 /* ---------------- utils & styles ---------------- */
 
 function sanitizeLead(f) {
-  const amount = Number(f.loanAmount) || 0;
+  const amount = Number(String(f.loanAmount ?? "").replace(/[$,\s]/g, "")) || 0;
   const tags = (f.tags || "")
     .split(",")
     .map((t) => t.trim())
     .filter(Boolean);
-  const next = f.nextFollowUp ? new Date(f.nextFollowUp).toISOString().slice(0,10) : "";
+  const next = parseDay(f.nextFollowUp) ? f.nextFollowUp : "";
   return {
     name: (f.name || "").trim(),
-    contact: (f.contact || "").trim(),
+    phone: (f.phone || "").trim(),
+    email: (f.email || "").trim(),
+    loanType: f.loanType || "Conventional",
     loanAmount: amount,
     status: f.status || "New",
+    closeDate: parseDay(f.closeDate) ? f.closeDate : "",
     source: (f.source || "").trim(),
     tags,
-    notes: (f.notes || "").trim(),
+    activities: f.activities || [],
+    checklist: f.checklist || [],
     nextFollowUp: next,
   };
 }
 
-function importSanitize(x) {
-  const l = typeof x === "object" && x ? x : {};
-  return {
-    id: l.id || crypto.randomUUID(),
-    name: String(l.name || ""),
-    contact: String(l.contact || ""),
-    loanAmount: Number(l.loanAmount) || 0,
-    status: STATUSES.includes(l.status) ? l.status : "New",
-    source: String(l.source || ""),
-    tags: Array.isArray(l.tags) ? l.tags.map(String) : String(l.tags || "").split(",").map((t)=>t.trim()).filter(Boolean),
-    notes: String(l.notes || ""),
-    nextFollowUp: l.nextFollowUp ? String(l.nextFollowUp).slice(0,10) : "",
-    createdAt: l.createdAt || Date.now(),
-    updatedAt: l.updatedAt || Date.now(),
-  };
+function FormField({ error, hint, children }){
+  return (
+    <div>
+      {children}
+      {error && <div style={ui.fieldError}>{error}</div>}
+      {!error && hint && <div style={ui.fieldHint}>{hint}</div>}
+    </div>
+  );
 }
 
-function downloadBlob(data, filename, type) {
-  const blob = new Blob([data], { type });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  URL.revokeObjectURL(url);
+function esc(s){ return String(s ?? ""); }
+function dateOrInfinity(iso){ const d = parseDay(iso); return d ? d.getTime() : Number.POSITIVE_INFINITY; }
+
+function checklistLabel(lead){
+  const p = checklistProgress(lead);
+  return p ? <div style={{fontSize:12, opacity:.7}} title={`${p.cleared} of ${p.total} cleared`}>Docs {p.pct}%</div> : null;
 }
 
-function csvCell(v) {
-  const s = String(v ?? "");
-  if (/[,"\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
+function describeLast(lead){
+  const a = lastActivity(lead);
+  if (!a) return "-";
+  const more = lead.activities.length - 1;
+  return (
+    <>
+      <div style={{fontSize:12, opacity:.7}}>{activityLabel(a)} · {new Date(a.at).toLocaleDateString()}</div>
+      {a.text && <div style={{whiteSpace:"pre-wrap"}}>{a.text}</div>}
+      {more > 0 && <div style={{fontSize:12, opacity:.6}}>+{more} earlier</div>}
+    </>
+  );
 }
-function esc(s){ return String(s ?? ""); }
-function dateStamp(){ const d = new Date(); return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,"0")}-${String(d.getDate()).padStart(2,"0")}`; }
-function humanDate(iso){ try { const d = new Date(iso); return d.toLocaleDateString(); } catch { return iso; } }
-function dateOrInfinity(iso){ if(!iso) return Number.POSITIVE_INFINITY; const t = +new Date(iso); return isNaN(t)? Number.POSITIVE_INFINITY : t; }
-
-function clickableContact(contact){
-  const v = String(contact || "");
-  const tel = v.replace(/[^\d+]/g,"");
-  if (tel.length >= 7) return (<> • <a href={`tel:${tel}`} style={{color:"#60a5fa"}}>Call</a> • <a href={`sms:${tel}`} style={{color:"#60a5fa"}}>SMS</a></>);
-  if (v.includes("@")) return (<> • <a href={`mailto:${v}`} style={{color:"#60a5fa"}}>Email</a></>);
-  return null;
+
+// SMS and email go through MessageMenu so the send is logged
+function callLink(phone){
+  const tel = toE164(phone) || String(phone || "").replace(/[^\d+]/g,"");
+  return tel.length >= 7 ? (<> • <a href={`tel:${tel}`} style={{color:"#60a5fa"}}>Call</a></>) : null;
 }
 
 const ui = {
@@ -428,5 +567,8 @@ const ui = {
   table:{width:"100%", borderCollapse:"collapse"},
   linkBtn:{background:"transparent", color:"#60a5fa", border:"none", marginRight:8, cursor:"pointer"},
   dangerBtn:{background:"#ef4444", border:"none", color:"#fff", padding:"0.4rem 0.6rem", borderRadius:8, cursor:"pointer"},
+  fieldError:{color:"#f87171", fontSize:12, marginTop:4},
+  fieldHint:{opacity:0.6, fontSize:12, marginTop:4},
+  messageMenu:{background:"#111827", border:"1px solid #1f2937", color:"#e5e7eb", padding:"2px 6px", borderRadius:8, fontSize:12, marginTop:4},
   badge:{marginLeft:8, background:"#ef4444", color:"#fff", borderRadius:8, padding:"2px 6px", fontSize:12},
 };
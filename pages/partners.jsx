@@ -0,0 +1,250 @@
+// pages/partners.jsx
+import { useMemo, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useLeads } from "../lib/leadStore";
+import { formatPhone } from "../lib/contact";
+import { validateContact } from "../lib/validation";
+import {
+  linkPartner,
+  partnerStats,
+  partnersFromAgents,
+  renamePartner,
+  unlinkPartner,
+  usePartners,
+} from "../lib/partners";
+import { normalizePartner } from "../lib/partnerSchema";
+import StorageErrorBanner from "../components/StorageErrorBanner";
+
+/** ------------------------------
+ *  Constants & Helpers
+ *  ------------------------------ */
+const S = {
+  wrap: { maxWidth: 1200, margin: "0 auto", padding: "24px" },
+  bar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 16 },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 12, padding: 16, marginBottom: 16 },
+  btn: { background: "#4f46e5", border: "none", color: "white", padding: "8px 12px", borderRadius: 8, cursor: "pointer" },
+  btnGhost: {
+    background: "transparent",
+    border: "1px solid #374151",
+    color: "white",
+    padding: "8px 12px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  input: {
+    background: "#0b1020",
+    border: "1px solid #334155",
+    color: "white",
+    padding: "8px 10px",
+    borderRadius: 8,
+    width: "100%",
+    boxSizing: "border-box",
+  },
+  grid3: { display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 12 },
+  h3: { margin: "0 0 12px", fontSize: 16, fontWeight: 700 },
+};
+
+const money = (n) =>
+  Number(n || 0).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+
+const SORTS = {
+  "Won volume": (a, b) => b.wonVolume - a.wonVolume || b.referrals - a.referrals,
+  Referrals: (a, b) => b.referrals - a.referrals,
+  "Close rate": (a, b) => b.closeRate - a.closeRate || b.won - a.won,
+  "Last referral": (a, b) => b.lastReferral.localeCompare(a.lastReferral),
+  Name: (a, b) => a.partner.name.localeCompare(b.partner.name),
+};
+
+const BLANK = { name: "", brokerage: "", phone: "", email: "", notes: "" };
+
+/** ------------------------------
+ *  Main Page: referral partners
+ *  ------------------------------ */
+export default function PartnersPage() {
+  const [leads, setLeads, sync] = useLeads();
+  const [partners, setPartners] = usePartners();
+  const [editing, setEditing] = useState(null); // partner draft, BLANK for a new one
+  const [sortKey, setSortKey] = useState("Won volume");
+
+  const stats = useMemo(() => partnerStats(partners, leads).sort(SORTS[sortKey]), [partners, leads, sortKey]);
+  const unlinked = useMemo(() => leads.filter((l) => l.agent && !l.partnerId && !l.deletedAt).length, [leads]);
+
+  const save = ({ unknown, ...draft }) => {
+    const partner = normalizePartner({ ...draft, updatedAt: Date.now() });
+    setPartners((prev) =>
+      prev.some((p) => p.id === partner.id) ? prev.map((p) => (p.id === partner.id ? partner : p)) : [...prev, partner]
+    );
+    setLeads((prev) => renamePartner(prev, partner));
+    setEditing(null);
+  };
+  const remove = (partner) => {
+    if (!confirm(`Delete ${partner.name}? Their leads keep the name but are no longer linked.`)) return;
+    setPartners((prev) => prev.filter((p) => p.id !== partner.id));
+    setLeads((prev) => unlinkPartner(prev, partner.id));
+  };
+  /** Turn free-text agent names into partners, folding near-identical spellings together. */
+  const linkExisting = () => {
+    const { partners: added, links } = partnersFromAgents(partners, leads);
+    if (!links.size) return;
+    const names = added.map((p) => p.name).join(", ");
+    if (!confirm(`Link ${links.size} lead(s)${added.length ? ` and create ${added.length} partner(s): ${names}` : ""}?`)) return;
+    setPartners((prev) => [...prev, ...added]);
+    const at = Date.now();
+    setLeads((prev) => prev.map((l) => (links.has(l.id) ? { ...linkPartner(l, links.get(l.id)), updatedAt: at } : l)));
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Partners • UMM</title>
+      </Head>
+
+      <div style={S.wrap}>
+        <header style={{ ...S.bar, justifyContent: "space-between" }}>
+          <h1 style={{ fontSize: 28, fontWeight: 800, margin: 0 }}>Referral Partners</h1>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Link href="/" style={S.btnGhost}>Home</Link>
+            <Link href="/Leads" style={S.btnGhost}>CRM</Link>
+            <Link href="/dashboard" style={S.btnGhost}>Dashboard</Link>
+            <button style={S.btn} onClick={() => setEditing(BLANK)}>+ New Partner</button>
+          </div>
+        </header>
+
+        <StorageErrorBanner message={sync.storageError} onRetry={sync.retrySave} />
+
+        {unlinked > 0 && (
+          <section style={{ ...S.card, ...S.bar, borderColor: "#f59e0b" }}>
+            <span>{unlinked} lead(s) name a partner that is not linked to a partner record.</span>
+            <button style={S.btnGhost} onClick={linkExisting}>Link by name</button>
+          </section>
+        )}
+
+        {editing && <PartnerForm initial={editing} onSave={save} onCancel={() => setEditing(null)} />}
+
+        <section style={S.card}>
+          <div style={{ ...S.bar, justifyContent: "space-between" }}>
+            <h3 style={{ ...S.h3, margin: 0 }}>{partners.length} partner(s)</h3>
+            <label>
+              Sort{" "}
+              <select style={{ ...S.input, width: "auto" }} value={sortKey} onChange={(e) => setSortKey(e.target.value)}>
+                {Object.keys(SORTS).map((k) => <option key={k}>{k}</option>)}
+              </select>
+            </label>
+          </div>
+          {stats.length === 0 ? (
+            <p style={{ opacity: 0.7, margin: 0 }}>No partners yet. Add one, or link the names already on your leads.</p>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>Partner</th>
+                    <th>Contact</th>
+                    <th>Referrals</th>
+                    <th>Won</th>
+                    <th>Won Volume</th>
+                    <th>Close Rate</th>
+                    <th>Last Referral</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {stats.map((r) => (
+                    <tr key={r.partner.id} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>
+                        <div style={{ fontWeight: 600 }}>{r.partner.name}</div>
+                        <div style={{ fontSize: 12, opacity: 0.7 }}>
+                          {r.partner.unknown ? "Not on this device" : r.partner.brokerage || "—"}
+                        </div>
+                      </td>
+                      <td style={{ fontSize: 13 }}>
+                        <div>{formatPhone(r.partner.phone) || "—"}</div>
+                        <div style={{ opacity: 0.7 }}>{r.partner.email || "—"}</div>
+                      </td>
+                      <td>{r.referrals}</td>
+                      <td>{r.won}</td>
+                      <td>{money(r.wonVolume)}</td>
+                      <td title="Won / (won + lost)">{r.closeRate}%</td>
+                      <td>{r.lastReferral || "—"}</td>
+                      <td style={{ display: "flex", gap: 6 }}>
+                        <button style={S.btnGhost} onClick={() => setEditing(r.partner)}>
+                          {r.partner.unknown ? "Add as partner" : "Edit"}
+                        </button>
+                        {!r.partner.unknown && (
+                          <button style={{ ...S.btnGhost, borderColor: "#ef4444", color: "#ef4444" }} onClick={() => remove(r.partner)}>
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </section>
+      </div>
+
+      <style jsx global>{`
+        html, body { margin:0; background:#0f172a; color:#e5e7eb; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Inter,Roboto,Arial;}
+        input, select, button, textarea { font: inherit; }
+        a { color: inherit; text-decoration: none; }
+      `}</style>
+    </>
+  );
+}
+
+/** ------------------------------
+ *  Components
+ *  ------------------------------ */
+function PartnerForm({ initial, onSave, onCancel }) {
+  const [draft, setDraft] = useState({ ...BLANK, ...initial, phone: formatPhone(initial.phone) });
+  const [checked, setChecked] = useState(false);
+  const errors = checked ? validateContact(draft) : {};
+  const update = (k, v) => setDraft((p) => ({ ...p, [k]: v }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    setChecked(true);
+    if (Object.keys(validateContact(draft)).length) return;
+    onSave(draft);
+  };
+
+  return (
+    <form onSubmit={submit} style={{ ...S.card, display: "grid", gap: 12 }}>
+      <h3 style={{ ...S.h3, margin: 0 }}>{initial.id ? `Edit ${initial.name}` : "New Partner"}</h3>
+      <div style={S.grid3}>
+        <Field label="Name" error={errors.name}>
+          <input style={S.input} autoFocus value={draft.name} onChange={(e) => update("name", e.target.value)} />
+        </Field>
+        <Field label="Brokerage / Company">
+          <input style={S.input} value={draft.brokerage} onChange={(e) => update("brokerage", e.target.value)} />
+        </Field>
+        <Field label="Phone" error={errors.phone}>
+          <input style={S.input} value={draft.phone} onChange={(e) => update("phone", e.target.value)} />
+        </Field>
+        <Field label="Email" error={errors.email}>
+          <input style={S.input} value={draft.email} onChange={(e) => update("email", e.target.value)} />
+        </Field>
+      </div>
+      <Field label="Notes">
+        <textarea style={{ ...S.input, minHeight: 70 }} value={draft.notes} onChange={(e) => update("notes", e.target.value)} />
+      </Field>
+      <div style={{ display: "flex", gap: 8, justifyContent: "flex-end" }}>
+        <button type="button" style={S.btnGhost} onClick={onCancel}>Cancel</button>
+        <button type="submit" style={S.btn}>Save Partner</button>
+      </div>
+    </form>
+  );
+}
+
+function Field({ label, error, children }) {
+  return (
+    <label style={{ display: "grid", gap: 6 }}>
+      <span style={{ fontSize: 12, opacity: 0.8 }}>{label}</span>
+      {children}
+      {error && <span style={{ fontSize: 12, color: "#f87171" }}>{error}</span>}
+    </label>
+  );
+}
@@ -0,0 +1,181 @@
+// pages/prequalify.jsx
+import { useState } from "react";
+import Head from "next/head";
+import { LOAN_TYPES } from "../lib/leadSchema";
+import { HONEYPOT_FIELD, INTAKE_FIELDS, validateIntake } from "../lib/intake";
+
+/** ------------------------------
+ *  Constants & Helpers
+ *  ------------------------------ */
+const S = {
+  wrap: { maxWidth: 640, margin: "0 auto", padding: "32px 24px" },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 12, padding: 24 },
+  grid2: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 },
+  input: {
+    background: "#0b1020",
+    border: "1px solid #334155",
+    color: "white",
+    padding: "10px 12px",
+    borderRadius: 8,
+    width: "100%",
+    boxSizing: "border-box",
+  },
+  btn: {
+    background: "#4f46e5",
+    border: "none",
+    color: "white",
+    padding: "12px 16px",
+    borderRadius: 8,
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  error: { fontSize: 12, color: "#f87171" },
+  // off-screen rather than display:none, which some bots skip
+  honeypot: { position: "absolute", left: -10000, width: 1, height: 1, overflow: "hidden" },
+};
+
+/** ------------------------------
+ *  Main Page: public lead capture
+ *  ------------------------------ */
+export default function PrequalifyPage() {
+  const [form, setForm] = useState(INTAKE_FIELDS);
+  const [errors, setErrors] = useState({});
+  const [state, setState] = useState("idle"); // idle | sending | sent
+  const [failure, setFailure] = useState("");
+
+  const update = (k, v) => {
+    setForm((prev) => ({ ...prev, [k]: v }));
+    setErrors((prev) => ({ ...prev, [k]: undefined }));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setFailure("");
+    const found = validateIntake(form);
+    setErrors(found);
+    if (Object.keys(found).length) return;
+    setState("sending");
+    try {
+      const res = await fetch("/api/intake", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        setErrors(data.errors || {});
+        setFailure(data.error || "Something went wrong. Please try again.");
+        setState("idle");
+        return;
+      }
+      setState("sent");
+    } catch {
+      setFailure("We could not reach the server. Check your connection and try again.");
+      setState("idle");
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Get Pre-Qualified • UMM</title>
+      </Head>
+
+      <div style={S.wrap}>
+        <h1 style={{ fontSize: 28, fontWeight: 800, marginBottom: 8 }}>Get pre-qualified</h1>
+        <p style={{ marginTop: 0, opacity: 0.8 }}>
+          Tell us a little about the home you have in mind. A loan officer will reach out, usually within one
+          business day. There is no credit check to submit this form.
+        </p>
+
+        {state === "sent" ? (
+          <section style={S.card}>
+            <h2 style={{ marginTop: 0 }}>Thanks, {form.name.split(" ")[0] || "we got it"}!</h2>
+            <p style={{ marginBottom: 0 }}>Your request is in. We will be in touch soon.</p>
+          </section>
+        ) : (
+          <form onSubmit={submit} noValidate style={{ ...S.card, display: "grid", gap: 12, position: "relative" }}>
+            <Field label="Full name *" error={errors.name}>
+              <input style={S.input} autoComplete="name" value={form.name} onChange={(e) => update("name", e.target.value)} />
+            </Field>
+            <div style={S.grid2}>
+              <Field label="Phone" error={errors.phone}>
+                <input style={S.input} type="tel" autoComplete="tel" value={form.phone} onChange={(e) => update("phone", e.target.value)} />
+              </Field>
+              <Field label="Email" error={errors.email}>
+                <input style={S.input} type="email" autoComplete="email" value={form.email} onChange={(e) => update("email", e.target.value)} />
+              </Field>
+              <Field label="Loan type" error={errors.loanType}>
+                <select style={S.input} value={form.loanType} onChange={(e) => update("loanType", e.target.value)}>
+                  {LOAN_TYPES.map((t) => <option key={t}>{t}</option>)}
+                </select>
+              </Field>
+              <Field label="Estimated loan amount" error={errors.loanAmount}>
+                <input
+                  style={S.input}
+                  inputMode="decimal"
+                  placeholder="400,000"
+                  value={form.loanAmount}
+                  onChange={(e) => update("loanAmount", e.target.value)}
+                />
+              </Field>
+            </div>
+            <Field label="Property address or area" error={errors.propertyAddress}>
+              <input style={S.input} value={form.propertyAddress} onChange={(e) => update("propertyAddress", e.target.value)} />
+            </Field>
+            <Field label="Anything else we should know?" error={errors.message}>
+              <textarea style={{ ...S.input, minHeight: 90 }} value={form.message} onChange={(e) => update("message", e.target.value)} />
+            </Field>
+
+            <div style={S.honeypot} aria-hidden="true">
+              <label>
+                Website
+                <input
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={form[HONEYPOT_FIELD]}
+                  onChange={(e) => update(HONEYPOT_FIELD, e.target.value)}
+                />
+              </label>
+            </div>
+
+            <label style={{ display: "flex", gap: 8, alignItems: "flex-start", fontSize: 13 }}>
+              <input type="checkbox" checked={form.consent} onChange={(e) => update("consent", e.target.checked)} />
+              <span>
+                You may contact me by phone, text or email about my loan options. Optional; you can withdraw
+                consent at any time.
+              </span>
+            </label>
+
+            {failure && <div role="alert" style={S.error}>{failure}</div>}
+
+            <div>
+              <button type="submit" style={S.btn} disabled={state === "sending"}>
+                {state === "sending" ? "Sending…" : "Get pre-qualified"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      <style jsx global>{`
+        html, body { margin:0; background:#0f172a; color:#e5e7eb; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Inter,Roboto,Arial;}
+        input, select, button, textarea { font: inherit; }
+        a { color: inherit; text-decoration: none; }
+      `}</style>
+    </>
+  );
+}
+
+/** ------------------------------
+ *  Components
+ *  ------------------------------ */
+function Field({ label, error, children }) {
+  return (
+    <label style={{ display: "grid", gap: 6 }}>
+      <span style={{ fontSize: 12, opacity: 0.8 }}>{label}</span>
+      {children}
+      {error && <span style={S.error}>{error}</span>}
+    </label>
+  );
+}
@@ -0,0 +1,178 @@
+// pages/refi.jsx
+import { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useLeads } from "../lib/leadStore";
+import { useSettings } from "../lib/settings";
+import { localToday } from "../lib/dates";
+import { formatPhone } from "../lib/contact";
+import { TERM_OPTIONS } from "../lib/mortgage";
+import { isPastClient, refiCandidates } from "../lib/refi";
+import StorageErrorBanner from "../components/StorageErrorBanner";
+
+/** ------------------------------
+ *  Constants & Helpers
+ *  ------------------------------ */
+const S = {
+  wrap: { maxWidth: 1200, margin: "0 auto", padding: "24px" },
+  bar: { display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 16 },
+  card: { background: "#111827", border: "1px solid #1f2937", borderRadius: 12, padding: 16, marginBottom: 16 },
+  btnGhost: {
+    background: "transparent",
+    border: "1px solid #374151",
+    color: "white",
+    padding: "8px 12px",
+    borderRadius: 8,
+    cursor: "pointer",
+  },
+  input: {
+    background: "#0b1020",
+    border: "1px solid #334155",
+    color: "white",
+    padding: "8px 10px",
+    borderRadius: 8,
+    width: 110,
+  },
+  h3: { margin: "0 0 12px", fontSize: 16, fontWeight: 700 },
+};
+
+const money = (n) =>
+  Number(n || 0).toLocaleString(undefined, { style: "currency", currency: "USD", maximumFractionDigits: 0 });
+
+/** ------------------------------
+ *  Main Page: past clients a refinance would help
+ *  ------------------------------ */
+export default function RefiPage() {
+  const [leads, setLeads, sync] = useLeads();
+  const [settings, updateSettings] = useSettings();
+  const prefs = settings.refi;
+  const today = localToday();
+
+  const clients = useMemo(() => leads.filter(isPastClient), [leads]);
+  const candidates = useMemo(() => refiCandidates(leads, prefs, today), [leads, prefs, today]);
+
+  const setPref = (k, v) => updateSettings({ refi: { ...prefs, [k]: v } });
+  const followUpToday = (id) =>
+    setLeads((prev) => prev.map((l) => (l.id === id ? { ...l, nextFollowUp: today, updatedAt: Date.now() } : l)));
+
+  return (
+    <>
+      <Head>
+        <title>Refi Watch • UMM</title>
+      </Head>
+
+      <div style={S.wrap}>
+        <header style={{ ...S.bar, justifyContent: "space-between" }}>
+          <h1 style={{ fontSize: 28, fontWeight: 800, margin: 0 }}>Refi Watch</h1>
+          <div style={{ display: "flex", gap: 8 }}>
+            <Link href="/" style={S.btnGhost}>Home</Link>
+            <Link href="/Leads" style={S.btnGhost}>CRM</Link>
+            <Link href="/agenda" style={S.btnGhost}>Today</Link>
+          </div>
+        </header>
+
+        <StorageErrorBanner message={sync.storageError} onRetry={sync.retrySave} />
+
+        <section style={{ ...S.card, ...S.bar }}>
+          <label>
+            Today's rate (%){" "}
+            <input style={S.input} type="number" step="0.125" value={prefs.currentRate} onChange={(e) => setPref("currentRate", e.target.value)} />
+          </label>
+          <label>
+            New term{" "}
+            <select style={S.input} value={prefs.termYears} onChange={(e) => setPref("termYears", Number(e.target.value))}>
+              {TERM_OPTIONS.map((t) => <option key={t} value={t}>{t} years</option>)}
+            </select>
+          </label>
+          <label>
+            Closing costs (% of balance){" "}
+            <input style={S.input} type="number" step="0.25" min="0" value={prefs.closingCostRate} onChange={(e) => setPref("closingCostRate", e.target.value)} />
+          </label>
+          <label>
+            Pays back within (months){" "}
+            <input
+              style={S.input}
+              type="number"
+              min="1"
+              value={prefs.horizonMonths}
+              onChange={(e) => setPref("horizonMonths", Math.max(1, Number(e.target.value) || 1))}
+            />
+          </label>
+        </section>
+
+        <section style={S.card}>
+          <h3 style={S.h3}>
+            {candidates.length} of {clients.length} past client(s) break even within {prefs.horizonMonths} months
+          </h3>
+          {candidates.length === 0 ? (
+            <p style={{ opacity: 0.7, margin: 0 }}>
+              No refinance pays back in time at {prefs.currentRate}%. Clients need a close date, or their current
+              rate and balance entered on the lead, to be analyzed.
+            </p>
+          ) : (
+            <div style={{ overflowX: "auto" }}>
+              <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 14 }}>
+                <thead>
+                  <tr style={{ textAlign: "left", opacity: 0.7 }}>
+                    <th>Client</th>
+                    <th>Closed</th>
+                    <th>Current loan</th>
+                    <th>Payment now</th>
+                    <th>New payment</th>
+                    <th>Saves</th>
+                    <th>Closing costs</th>
+                    <th>Break-even</th>
+                    <th>Over the loan</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {candidates.map(({ lead, analysis: a }) => (
+                    <tr key={lead.id} style={{ borderTop: "1px solid #1f2937" }}>
+                      <td>
+                        <div style={{ fontWeight: 600 }}>{lead.name}</div>
+                        <div style={{ fontSize: 12, opacity: 0.7 }}>
+                          {[formatPhone(lead.phone), lead.email].filter(Boolean).join(" · ") || "—"}
+                        </div>
+                      </td>
+                      <td>{lead.closeDate || "—"}</td>
+                      <td title={a.estimated.length ? `Estimated from the closed loan: ${a.estimated.join(", ")}` : ""}>
+                        {money(a.balance)} at {a.rate}%, {a.remainingMonths} mo left
+                        {a.estimated.length > 0 && <span style={{ opacity: 0.6 }}> (est.)</span>}
+                      </td>
+                      <td>{money(a.oldPayment)}</td>
+                      <td>{money(a.newPayment)}</td>
+                      <td style={{ color: "#22c55e" }}>{money(a.savings)}/mo</td>
+                      <td>{money(a.closingCosts)}</td>
+                      <td>{a.breakevenMonths} mo</td>
+                      <td style={{ color: a.lifetimeSavings < 0 ? "#f59e0b" : "inherit" }}>
+                        {a.lifetimeSavings < 0 ? `costs ${money(-a.lifetimeSavings)}` : `saves ${money(a.lifetimeSavings)}`}
+                      </td>
+                      <td>
+                        {lead.nextFollowUp === today ? (
+                          <span style={{ fontSize: 12, opacity: 0.7 }}>On today's list</span>
+                        ) : (
+                          <button style={S.btnGhost} onClick={() => followUpToday(lead.id)}>Follow up today</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p style={{ fontSize: 12, opacity: 0.7, marginBottom: 0 }}>
+            Payments are principal and interest only. "Over the loan" compares the interest left on the current loan
+            with the new loan's interest plus closing costs; a longer new term can cost more even when the payment drops.
+          </p>
+        </section>
+      </div>
+
+      <style jsx global>{`
+        html, body { margin:0; background:#0f172a; color:#e5e7eb; font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Inter,Roboto,Arial;}
+        input, select, button, textarea { font: inherit; }
+        a { color: inherit; text-decoration: none; }
+      `}</style>
+    </>
+  );
+}
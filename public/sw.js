@@ -0,0 +1,21 @@
+// public/sw.js
+/* Service worker for follow-up reminders. Open pages decide what is due
+ * and show it through this registration, so the notification outlives the
+ * tab and clicking it focuses (or opens) the agenda. */
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/agenda", self.location.origin).href;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((list) => {
+      const same = list.find((c) => c.url === url);
+      if (same) return same.focus();
+      const any = list.find((c) => new URL(c.url).origin === self.location.origin);
+      if (any) return any.navigate(url).then((c) => c && c.focus());
+      return self.clients.openWindow(url);
+    })
+  );
+});